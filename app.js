@@ -56,6 +56,16 @@ var favoritesRouter = require('./routes/favorites');
 var boostRouter = require('./routes/boost');
 var addDappRouter = require('./routes/add-dapp');
 var submissionsRouter = require('./routes/submissions');
+var suggestRouter = require('./routes/suggest');
+var taxonomyRouter = require('./routes/taxonomy');
+var searchAnalyticsRouter = require('./routes/search-analytics');
+var savedSearchesRouter = require('./routes/saved-searches');
+var similarDappsRouter = require('./routes/similar-dapps');
+var metricsRouter = require('./routes/metrics');
+var deploymentsRouter = require('./routes/deployments');
+var dappEditsRouter = require('./routes/dapp-edits');
+var dappClaimsRouter = require('./routes/dapp-claims');
+var websiteHealthRouter = require('./routes/website-health');
 
 var app = express();
 
@@ -83,6 +93,16 @@ app.use('/', favoritesRouter);
 app.use('/', boostRouter);
 app.use('/', addDappRouter);
 app.use('/', submissionsRouter);
+app.use('/', suggestRouter);
+app.use('/', taxonomyRouter);
+app.use('/', searchAnalyticsRouter);
+app.use('/', savedSearchesRouter);
+app.use('/', similarDappsRouter);
+app.use('/', metricsRouter);
+app.use('/', deploymentsRouter);
+app.use('/', dappEditsRouter);
+app.use('/', dappClaimsRouter);
+app.use('/', websiteHealthRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
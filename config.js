@@ -2,6 +2,21 @@
 // This must be called before accessing any process.env variables
 require('dotenv').config();
 
+/**
+ * Reads a non-negative number from the environment, falling back to
+ * `fallback` when the variable is unset or not a valid number.
+ *
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
+
 /**
  * Application Configuration
  * 
@@ -16,6 +31,15 @@ require('dotenv').config();
  * - PGDATABASE: PostgreSQL database name
  * - PGUSER: PostgreSQL database username
  * - PGPASSWORD: PostgreSQL database password
+ *
+ * Optional:
+ * - FEATURED_WEIGHT_RATING / FEATURED_WEIGHT_BOOST / FEATURED_WEIGHT_ACTIVITY:
+ *   weights of the sort=featured score components
+ * - CACHE_DRIVER / CACHE_TTL_SECONDS / CACHE_MAX_ENTRIES / REDIS_URL:
+ *   response cache settings
+ * - METRIC_SNAPSHOT_INTERVAL_MINUTES: how often metrics are snapshotted
+ * - WEBSITE_CHECK_INTERVAL_MINUTES / WEBSITE_CHECK_FAILURE_THRESHOLD /
+ *   WEBSITE_CHECK_TIMEOUT_SECONDS: website health check settings
  */
 module.exports = {
   /**
@@ -54,5 +78,58 @@ module.exports = {
     database: process.env.PGDATABASE,
     user: process.env.PGUSER,
     password: process.env.PGPASSWORD
+  },
+
+  /**
+   * Search Configuration
+   *
+   * Weights of the blended `sort=featured` ranking on /dapp-search
+   * (see utils/dapp-sort.js). Each component is normalised to 0-1 before
+   * weighting, so the weights express relative importance directly.
+   */
+  search: {
+    featuredWeights: {
+      rating: numberFromEnv('FEATURED_WEIGHT_RATING', 0.5),       // reviews_make.ratings
+      boost: numberFromEnv('FEATURED_WEIGHT_BOOST', 0.2),         // dapp_boosts.boost_point (paid)
+      activity: numberFromEnv('FEATURED_WEIGHT_ACTIVITY', 0.3)    // aggregated_metrics uaw/transactions/volume
+    }
+  },
+
+  /**
+   * Response Cache Configuration
+   *
+   * Caches /dapp-search, /api/boost/top and /api/dapps/:dapp_id responses
+   * (see utils/response-cache.js). Writes through the API invalidate entries
+   * immediately; the TTL bounds staleness from writes made elsewhere
+   * (metrics imports, review generation).
+   */
+  cache: {
+    driver: process.env.CACHE_DRIVER || 'memory',                 // 'memory', 'redis' or 'none'
+    ttlSeconds: numberFromEnv('CACHE_TTL_SECONDS', 60),           // Entry lifetime
+    maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 1000),         // In-process LRU size
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379'   // Used when driver is 'redis'
+  },
+
+  /**
+   * Metric History Configuration
+   *
+   * aggregated_metrics is copied into metric_snapshots on this schedule
+   * (see utils/metric-snapshots.js); 0 disables snapshots in this process.
+   */
+  metrics: {
+    snapshotIntervalMinutes: numberFromEnv('METRIC_SNAPSHOT_INTERVAL_MINUTES', 60)
+  },
+
+  /**
+   * Website Health Configuration
+   *
+   * Listed websites are checked on this schedule (see
+   * utils/website-health.js); 0 disables checks in this process. A dApp is
+   * flagged after failureThreshold failed checks in a row.
+   */
+  health: {
+    checkIntervalMinutes: numberFromEnv('WEBSITE_CHECK_INTERVAL_MINUTES', 360),
+    failureThreshold: numberFromEnv('WEBSITE_CHECK_FAILURE_THRESHOLD', 3),
+    timeoutSeconds: numberFromEnv('WEBSITE_CHECK_TIMEOUT_SECONDS', 10)
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+-- 001_dapps_main_search_vector.sql
+--
+-- Full-text search support for GET /dapp-search?q=.
+--
+-- Adds a weighted tsvector over the descriptive columns of dapps_main and a
+-- GIN index so `search_vector @@ websearch_to_tsquery(...)` stays indexed.
+--   A: name
+--   B: categories, tags
+--   C: description
+--   D: full_description
+--
+-- The column is GENERATED, so every write path (add-dapp, submission
+-- approval, manual edits) keeps it current without application changes.
+
+ALTER TABLE public.dapps_main
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english'::regconfig, coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(categories, '') || ' ' || coalesce(tags, '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(full_description, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_search_vector
+  ON public.dapps_main USING GIN (search_vector);
@@ -0,0 +1,12 @@
+-- 002_dapps_main_name_trgm.sql
+--
+-- Typo-tolerant name matching for GET /dapp-search.
+--
+-- pg_trgm provides similarity() and the `%` operator used by the fuzzy
+-- fallback and the "did you mean" suggestions; the GIN trigram index keeps
+-- both indexed (it also serves the existing `name ILIKE '%...%'` search).
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_name_trgm
+  ON public.dapps_main USING GIN (name gin_trgm_ops);
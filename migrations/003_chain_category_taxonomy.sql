@@ -0,0 +1,134 @@
+-- 003_chain_category_taxonomy.sql
+--
+-- Canonical chain and category taxonomy (utils/taxonomy.js).
+--
+-- dapps_main.chains/categories hold free text written by several clients
+-- ('Exchanges', 'exchange', 'BSC', 'BNB Chain', ...). Each taxonomy row has a
+-- canonical name, a URL slug, the aliases that resolve to it, an optional
+-- icon and an optional parent used to group entries (Arbitrum -> Ethereum L2).
+-- Filtering by a parent also matches its descendants.
+--
+-- Aliases are compared the same way as filter values: case-insensitively,
+-- whitespace-collapsed and ignoring a trailing plural 's'.
+
+CREATE TABLE IF NOT EXISTS public.chains (
+  chain_id   SERIAL PRIMARY KEY,
+  name       TEXT NOT NULL UNIQUE,
+  slug       TEXT NOT NULL UNIQUE,
+  aliases    TEXT[] NOT NULL DEFAULT '{}',
+  icon       TEXT,
+  parent_id  INTEGER REFERENCES public.chains (chain_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.categories (
+  category_id SERIAL PRIMARY KEY,
+  name        TEXT NOT NULL UNIQUE,
+  slug        TEXT NOT NULL UNIQUE,
+  aliases     TEXT[] NOT NULL DEFAULT '{}',
+  icon        TEXT,
+  parent_id   INTEGER REFERENCES public.categories (category_id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Seed: the values previously hardcoded as the search whitelist.
+INSERT INTO public.chains (name, slug, aliases) VALUES
+  ('Ethereum',            'ethereum',             '{eth,"ethereum mainnet"}'),
+  ('Ethereum L2',         'ethereum-l2',          '{l2,"layer 2"}'),
+  ('Polygon',             'polygon',              '{matic,"polygon pos"}'),
+  ('Polygon zkEVM',       'polygon-zkevm',        '{}'),
+  ('BNB Chain',           'bnb-chain',            '{bsc,bnb,"binance smart chain"}'),
+  ('Arbitrum',            'arbitrum',             '{"arbitrum one"}'),
+  ('Optimism',            'optimism',             '{"op mainnet"}'),
+  ('Base',                'base',                 '{}'),
+  ('Avalanche',           'avalanche',            '{avax,"avalanche c-chain"}'),
+  ('Fantom',              'fantom',               '{ftm}'),
+  ('Cronos',              'cronos',               '{cro}'),
+  ('Gnosis',              'gnosis',               '{xdai,"gnosis chain"}'),
+  ('Celo',                'celo',                 '{}'),
+  ('Linea',               'linea',                '{}'),
+  ('Scroll',              'scroll',               '{}'),
+  ('zkSync',              'zksync',               '{"zksync era"}'),
+  ('Starknet',            'starknet',             '{}'),
+  ('Mantle',              'mantle',               '{}'),
+  ('Blast',               'blast',                '{}'),
+  ('Solana',              'solana',               '{sol}'),
+  ('Polkadot',            'polkadot',             '{dot}'),
+  ('Polkadot Parachains', 'polkadot-parachains',  '{parachain}'),
+  ('Kusama',              'kusama',               '{ksm}'),
+  ('Moonbeam',            'moonbeam',             '{glmr}'),
+  ('Moonriver',           'moonriver',            '{movr}'),
+  ('Astar',               'astar',                '{}'),
+  ('Near',                'near',                 '{"near protocol"}'),
+  ('Aptos',               'aptos',                '{}'),
+  ('Sui',                 'sui',                  '{}'),
+  ('Tron',                'tron',                 '{trx}'),
+  ('TON',                 'ton',                  '{"the open network"}'),
+  ('Cosmos',              'cosmos',               '{atom,"cosmos hub"}'),
+  ('Cardano',             'cardano',              '{ada}'),
+  ('Algorand',            'algorand',             '{algo}'),
+  ('Hedera',              'hedera',               '{hbar,"hedera hashgraph"}'),
+  ('Tezos',               'tezos',                '{xtz}'),
+  ('Flow',                'flow',                 '{}'),
+  ('Harmony',             'harmony',              '{}'),
+  ('Klaytn',              'klaytn',               '{kaia}'),
+  ('Ronin',               'ronin',                '{}'),
+  ('Immutable X',         'immutable-x',          '{imx,immutable}'),
+  ('Wax',                 'wax',                  '{}'),
+  ('Hive',                'hive',                 '{}'),
+  ('EOS',                 'eos',                  '{}')
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE public.chains c
+SET parent_id = p.chain_id
+FROM public.chains p
+WHERE p.slug = 'ethereum-l2'
+  AND c.slug IN ('arbitrum', 'optimism', 'base', 'polygon-zkevm', 'linea',
+                 'scroll', 'zksync', 'starknet', 'mantle', 'blast')
+  AND c.parent_id IS NULL;
+
+UPDATE public.chains c
+SET parent_id = p.chain_id
+FROM public.chains p
+WHERE p.slug = 'polkadot-parachains'
+  AND c.slug IN ('moonbeam', 'astar')
+  AND c.parent_id IS NULL;
+
+INSERT INTO public.categories (name, slug, aliases) VALUES
+  ('DeFi',           'defi',           '{"decentralized finance"}'),
+  ('Exchanges',      'exchanges',      '{dex,exchange,swap}'),
+  ('Gaming',         'gaming',         '{games,game,gamefi}'),
+  ('NFT',            'nft',            '{nfts}'),
+  ('Collectibles',   'collectibles',   '{}'),
+  ('Marketplaces',   'marketplaces',   '{"nft marketplace"}'),
+  ('Social',         'social',         '{socialfi}'),
+  ('Gambling',       'gambling',       '{casino,betting}'),
+  ('High-risk',      'high-risk',      '{"high risk"}'),
+  ('Lending',        'lending',        '{borrowing}'),
+  ('Yield',          'yield',          '{"yield farming",farming}'),
+  ('Bridges',        'bridges',        '{"cross-chain"}'),
+  ('Wallets',        'wallets',        '{}'),
+  ('Infrastructure', 'infrastructure', '{tooling,"developer tools"}'),
+  ('DAO',            'dao',            '{governance}'),
+  ('Metaverse',      'metaverse',      '{}'),
+  ('Launchpad',      'launchpad',      '{ido}'),
+  ('Identity',       'identity',       '{did}'),
+  ('AI',             'ai',             '{"artificial intelligence"}'),
+  ('Other',          'other',          '{}')
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE public.categories c
+SET parent_id = p.category_id
+FROM public.categories p
+WHERE p.slug = 'defi'
+  AND c.slug IN ('lending', 'yield')
+  AND c.parent_id IS NULL;
+
+UPDATE public.categories c
+SET parent_id = p.category_id
+FROM public.categories p
+WHERE p.slug = 'nft'
+  AND c.slug IN ('collectibles', 'marketplaces')
+  AND c.parent_id IS NULL;
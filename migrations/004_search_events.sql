@@ -0,0 +1,35 @@
+-- 004_search_events.sql
+--
+-- Search analytics for GET /dapp-search (utils/search-analytics.js).
+--
+-- One row per search request, written asynchronously in batches:
+--   query_text        raw q (or name) as typed
+--   normalized_query  lower-cased, whitespace-collapsed form used for grouping
+--   filters           active filters as JSON, chain/category values resolved
+--                     to canonical taxonomy names
+--   result_count      total results shown (NULL when not known, e.g. a
+--                     count=false page in the middle of a scroll)
+--   first_page        false for page>1 / cursor requests, so reports count
+--                     searches rather than pagination
+--   client_id         API client from the JWT
+
+CREATE TABLE IF NOT EXISTS public.search_events (
+  event_id         BIGSERIAL PRIMARY KEY,
+  query_text       TEXT,
+  normalized_query TEXT,
+  filters          JSONB NOT NULL DEFAULT '{}',
+  sort             TEXT,
+  result_count     INTEGER,
+  fuzzy            BOOLEAN NOT NULL DEFAULT FALSE,
+  first_page       BOOLEAN NOT NULL DEFAULT TRUE,
+  client_id        TEXT,
+  latency_ms       INTEGER,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_created_at
+  ON public.search_events (created_at);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_query
+  ON public.search_events (normalized_query, created_at)
+  WHERE normalized_query IS NOT NULL;
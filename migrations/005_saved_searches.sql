@@ -0,0 +1,26 @@
+-- 005_saved_searches.sql
+--
+-- Saved /dapp-search parameter sets per wallet account (routes/saved-searches.js).
+--
+--   account_id       Polkadot/Substrate address, validated like userPrefs.account_id
+--   params           the saved /dapp-search filter and sort parameters, as JSON
+--   last_checked_at  when the account last fetched new matches; starts at
+--                    creation so only dApps listed afterwards count as new
+
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+  saved_search_id  SERIAL PRIMARY KEY,
+  account_id       TEXT NOT NULL,
+  name             TEXT NOT NULL,
+  params           JSONB NOT NULL DEFAULT '{}',
+  last_checked_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One saved search per name per account (case-insensitive).
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_searches_account_name
+  ON public.saved_searches (account_id, LOWER(name));
+
+-- New-match checks compare against dapps_main.created_at.
+CREATE INDEX IF NOT EXISTS idx_dapps_main_created_at
+  ON public.dapps_main (created_at);
@@ -0,0 +1,26 @@
+-- 006_metric_snapshots.sql
+--
+-- History of aggregated_metrics (utils/metric-snapshots.js), used by
+-- GET /api/dapps/:dapp_id/metrics and GET /api/trending.
+--
+-- aggregated_metrics only holds current values, stored as text. Snapshots
+-- copy them periodically as parsed numbers (NULL when a value is missing or
+-- unparseable), so growth can be measured between two points in time.
+
+CREATE TABLE IF NOT EXISTS public.metric_snapshots (
+  snapshot_id   BIGSERIAL PRIMARY KEY,
+  dapp_id       INTEGER NOT NULL,
+  balance       NUMERIC,
+  transactions  NUMERIC,
+  uaw           NUMERIC,
+  volume        NUMERIC,
+  captured_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Time series per dApp, and the latest snapshot at or before a point in time.
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_dapp_captured
+  ON public.metric_snapshots (dapp_id, captured_at);
+
+-- "Was a snapshot taken recently?" check before capturing.
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_captured
+  ON public.metric_snapshots (captured_at);
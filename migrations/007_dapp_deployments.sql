@@ -0,0 +1,28 @@
+-- 007_dapp_deployments.sql
+--
+-- Per-chain deployments of a dApp (utils/deployments.js): one row per
+-- (dApp, chain) with its contract addresses, block explorer links and
+-- deployment date. Returned by GET /api/dapps/:dapp_id and searched by
+-- GET /api/contracts/:address.
+--
+-- smart_contract_info.smartcontract stays as the legacy single value; it has
+-- no chain, so it is not copied here.
+--
+-- Hex (EVM) addresses are stored lower-cased so lookups ignore checksum
+-- casing; other address formats are case-sensitive and stored as given.
+
+CREATE TABLE IF NOT EXISTS public.dapp_deployments (
+  deployment_id      SERIAL PRIMARY KEY,
+  dapp_id            INTEGER NOT NULL,
+  chain_id           INTEGER NOT NULL REFERENCES public.chains (chain_id),
+  contract_addresses TEXT[] NOT NULL DEFAULT '{}',
+  explorer_urls      TEXT[] NOT NULL DEFAULT '{}',
+  deployed_at        DATE,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (dapp_id, chain_id)
+);
+
+-- Address -> deployment lookups (contract_addresses @> ARRAY[address]).
+CREATE INDEX IF NOT EXISTS idx_dapp_deployments_addresses
+  ON public.dapp_deployments USING GIN (contract_addresses);
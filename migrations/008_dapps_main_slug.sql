@@ -0,0 +1,43 @@
+-- 008_dapps_main_slug.sql
+--
+-- Human-readable, unique slug per dApp for frontend URLs
+-- (GET /api/dapps/by-slug/:slug). New dApps get one on insert
+-- (utils/dapp-helpers.js generateUniqueSlug(): the slugified name, then
+-- name-2, name-3, ... on collisions).
+--
+-- Backfill: the slugified name, common Latin accents stripped, a-z/0-9 runs
+-- joined by '-' and cut to 80 characters ('dapp' when nothing is left). When several existing
+-- dApps share a slug, the first listed (earliest created_at, then lowest
+-- dapp_id) keeps it and the others get their dapp_id appended, which cannot
+-- collide among themselves. dapp_id is a hash of the website
+-- (generateDappId()), so it only breaks ties.
+
+ALTER TABLE public.dapps_main ADD COLUMN IF NOT EXISTS slug TEXT;
+
+WITH base AS (
+  SELECT dapp_id, created_at,
+         COALESCE(
+           NULLIF(TRIM(BOTH '-' FROM LEFT(
+             REGEXP_REPLACE(
+               TRANSLATE(LOWER(name), 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ', 'aaaaaaceeeeiiiinooooouuuuyy'),
+               '[^a-z0-9]+', '-', 'g'),
+             80)), ''),
+           'dapp') AS base_slug
+  FROM public.dapps_main
+  WHERE slug IS NULL
+),
+ranked AS (
+  SELECT dapp_id, base_slug,
+         ROW_NUMBER() OVER (PARTITION BY base_slug ORDER BY created_at, dapp_id) AS n
+  FROM base
+)
+UPDATE public.dapps_main dm
+SET slug = CASE
+             WHEN r.n = 1 AND NOT EXISTS (SELECT 1 FROM public.dapps_main o WHERE o.slug = r.base_slug)
+               THEN r.base_slug
+             ELSE r.base_slug || '-' || dm.dapp_id
+           END
+FROM ranked r
+WHERE r.dapp_id = dm.dapp_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dapps_main_slug ON public.dapps_main (slug);
@@ -0,0 +1,122 @@
+-- 009_dapps_main_list_columns.sql
+--
+-- One storage format for the list columns of dapps_main (utils/dapp-lists.js):
+--   chains, categories, tags  TEXT[]  plain names, e.g. {Ethereum,Polygon}
+--   social_links              JSONB   array of link objects,
+--                                     e.g. [{"title":"Twitter","url":"..."}]
+--
+-- The columns used to be TEXT holding comma-separated values, JSON array
+-- strings or bare JSON objects ('{"name":"dex"},{"name":"amm"}'), depending
+-- on the write path. The conversion below reads those formats best-effort and
+-- never fails. The original text of each converted row is kept in
+-- legacy_lists so `npm run backfill:dapp-lists` (scripts/backfill-dapp-lists.js)
+-- can re-parse it strictly, canonicalise chains/categories through the
+-- taxonomy and report the rows it cannot parse. Once it reports none, the
+-- copy can be dropped:
+--   ALTER TABLE public.dapps_main DROP COLUMN legacy_lists;
+--
+-- search_vector (migrations/001) reads categories and tags, so it is rebuilt
+-- over the arrays. The conversion is skipped when chains is no longer TEXT,
+-- so the migration can be re-run.
+
+ALTER TABLE public.dapps_main ADD COLUMN IF NOT EXISTS legacy_lists JSONB;
+
+-- A legacy value as a JSON array: JSON arrays as stored, bare objects wrapped
+-- in []. NULL when the value is not JSON (comma-separated text).
+CREATE OR REPLACE FUNCTION pg_temp.legacy_json(raw TEXT) RETURNS JSONB LANGUAGE plpgsql IMMUTABLE AS $$
+BEGIN
+  raw := btrim(COALESCE(raw, ''));
+  IF raw = '' OR raw = 'null' THEN
+    RETURN '[]';
+  END IF;
+  IF left(raw, 1) = '[' THEN
+    RETURN raw::jsonb;
+  END IF;
+  IF left(raw, 1) = '{' THEN
+    RETURN ('[' || raw || ']')::jsonb;
+  END IF;
+  RETURN NULL;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END $$;
+
+-- chains/categories/tags: strings and the `name` of objects from JSON,
+-- otherwise comma-separated parts without stray brackets and quotes.
+-- Trimmed, empty entries dropped, duplicates dropped keeping the first.
+CREATE OR REPLACE FUNCTION pg_temp.legacy_names(raw TEXT) RETURNS TEXT[] LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+  doc JSONB := pg_temp.legacy_json(raw);
+BEGIN
+  RETURN ARRAY(
+    SELECT name FROM (
+      SELECT btrim(item.name) AS name, MIN(item.ord) AS ord
+      FROM (
+        SELECT CASE jsonb_typeof(e.value)
+                 WHEN 'string' THEN e.value #>> '{}'
+                 WHEN 'object' THEN e.value ->> 'name'
+               END AS name, e.ord
+        FROM jsonb_array_elements(COALESCE(doc, '[]')) WITH ORDINALITY AS e(value, ord)
+        UNION ALL
+        SELECT btrim(p.part, ' "'), p.ord
+        FROM regexp_split_to_table(btrim(raw, '[]{} '), ',') WITH ORDINALITY AS p(part, ord)
+        WHERE doc IS NULL
+      ) AS item
+      WHERE btrim(item.name) <> ''
+      GROUP BY btrim(item.name)
+    ) AS names
+    ORDER BY ord
+  );
+END $$;
+
+-- social_links: the objects of the JSON value; anything else is dropped.
+CREATE OR REPLACE FUNCTION pg_temp.legacy_links(raw TEXT) RETURNS JSONB LANGUAGE sql IMMUTABLE AS $$
+  SELECT COALESCE(jsonb_agg(e.value ORDER BY e.ord), '[]')
+  FROM jsonb_array_elements(COALESCE(pg_temp.legacy_json(raw), '[]')) WITH ORDINALITY AS e(value, ord)
+  WHERE jsonb_typeof(e.value) = 'object'
+$$;
+
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'dapps_main' AND column_name = 'chains') = 'text' THEN
+    UPDATE public.dapps_main
+    SET legacy_lists = NULLIF(jsonb_strip_nulls(jsonb_build_object(
+          'chains', chains, 'categories', categories, 'tags', tags, 'social_links', social_links
+        )), '{}')
+    WHERE legacy_lists IS NULL;
+
+    ALTER TABLE public.dapps_main DROP COLUMN IF EXISTS search_vector;
+
+    ALTER TABLE public.dapps_main
+      ALTER COLUMN chains TYPE TEXT[] USING pg_temp.legacy_names(chains),
+      ALTER COLUMN categories TYPE TEXT[] USING pg_temp.legacy_names(categories),
+      ALTER COLUMN tags TYPE TEXT[] USING pg_temp.legacy_names(tags),
+      ALTER COLUMN social_links TYPE JSONB USING pg_temp.legacy_links(social_links);
+  END IF;
+END $$;
+
+ALTER TABLE public.dapps_main
+  ALTER COLUMN chains SET DEFAULT '{}',
+  ALTER COLUMN chains SET NOT NULL,
+  ALTER COLUMN categories SET DEFAULT '{}',
+  ALTER COLUMN categories SET NOT NULL,
+  ALTER COLUMN tags SET DEFAULT '{}',
+  ALTER COLUMN tags SET NOT NULL,
+  ALTER COLUMN social_links SET DEFAULT '[]',
+  ALTER COLUMN social_links SET NOT NULL;
+
+-- array_to_string() is only STABLE, which a generated column does not accept.
+CREATE OR REPLACE FUNCTION public.dapp_list_text(list TEXT[]) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE AS $$ SELECT array_to_string(list, ' ') $$;
+
+ALTER TABLE public.dapps_main
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english'::regconfig, coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, public.dapp_list_text(categories) || ' ' || public.dapp_list_text(tags)), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(full_description, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_search_vector
+  ON public.dapps_main USING GIN (search_vector);
@@ -0,0 +1,26 @@
+-- 010_dapp_revisions.sql
+--
+-- Change history of listings edited through PATCH /api/dapps/:dapp_id and
+-- the revert endpoint (utils/dapp-revisions.js). One row per edit holding
+-- only the columns that changed:
+--   changes = { "<column>": { "before": ..., "after": ... }, ... }
+-- Values are stored as JSON in the shape of the dapps_main column (strings,
+-- arrays of names, the social_links array).
+--
+-- `actor` is who made the edit (the request's `actor`, or the API client),
+-- `client_id` the API client whose token was used. A revert records the
+-- revision it restored in `reverted_to`.
+
+CREATE TABLE IF NOT EXISTS public.dapp_revisions (
+  revision_id  SERIAL PRIMARY KEY,
+  dapp_id      INTEGER NOT NULL,
+  actor        TEXT NOT NULL,
+  client_id    TEXT,
+  changes      JSONB NOT NULL,
+  reverted_to  INTEGER REFERENCES public.dapp_revisions (revision_id),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- History of one dApp, newest first.
+CREATE INDEX IF NOT EXISTS idx_dapp_revisions_dapp
+  ON public.dapp_revisions (dapp_id, revision_id DESC);
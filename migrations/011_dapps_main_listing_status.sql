@@ -0,0 +1,27 @@
+-- 011_dapps_main_listing_status.sql
+--
+-- Listing status of a dApp (utils/dapp-status.js), so a rugged, dead or
+-- malicious dApp can be taken off the listings without a hard delete, which
+-- would orphan its dapp_boosts, boost_transactions, top_reviews and
+-- favorites entries:
+--   active    listed everywhere (every existing dApp)
+--   hidden    left out of listings; the detail is still served
+--   delisted  removed for cause; the detail returns 410 Gone with the reason
+--   archived  soft-deleted (DELETE /api/dapps/:dapp_id); left out of listings
+--
+-- `status_reason` explains the current status and `status_changed_at` is
+-- when it was last set. Changes are recorded in dapp_revisions (migration 010).
+
+ALTER TABLE public.dapps_main
+  ADD COLUMN IF NOT EXISTS listing_status TEXT NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS status_reason TEXT,
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+ALTER TABLE public.dapps_main DROP CONSTRAINT IF EXISTS dapps_main_listing_status_check;
+ALTER TABLE public.dapps_main ADD CONSTRAINT dapps_main_listing_status_check
+  CHECK (listing_status IN ('active', 'hidden', 'delisted', 'archived'));
+
+-- Listings filter on listing_status = 'active', which nearly every row
+-- matches; this index serves lookups of the few others.
+CREATE INDEX IF NOT EXISTS idx_dapps_main_listing_status
+  ON public.dapps_main (listing_status) WHERE listing_status <> 'active';
@@ -0,0 +1,64 @@
+-- 012_dapp_claims.sql
+--
+-- Ownership claims on listings (routes/dapp-claims.js, utils/dapp-claims.js).
+-- A team requests a claim for a dApp from its wallet account and gets a
+-- challenge token. The claim is verified once the token is found in
+-- https://<website host>/.well-known/geode-verify.txt, in a DNS TXT record
+-- at _geode-verify.<domain>, or in a message signed by the owner wallet of
+-- one of the dApp's deployments (migration 014). Accounts with a verified
+-- claim are the dApp's owners: the detail response shows a `verified` badge
+-- and owners can propose edits.
+--
+-- `proof` records what was checked: { url } for http, { record } for dns,
+-- { address, chains } for wallet.
+
+CREATE TABLE IF NOT EXISTS public.dapp_claims (
+  claim_id       SERIAL PRIMARY KEY,
+  dapp_id        INTEGER NOT NULL,
+  account_id     TEXT NOT NULL,
+  client_id      TEXT,
+  contact        TEXT,
+  token          TEXT NOT NULL UNIQUE,
+  status         TEXT NOT NULL DEFAULT 'pending'
+                 CHECK (status IN ('pending', 'verified', 'revoked')),
+  method         TEXT CHECK (method IN ('http', 'dns', 'wallet')),
+  proof          JSONB,
+  attempts       INTEGER NOT NULL DEFAULT 0,
+  last_error     TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at     TIMESTAMPTZ NOT NULL,
+  verified_at    TIMESTAMPTZ,
+  revoked_by     TEXT,
+  revoke_reason  TEXT,
+  revoked_at     TIMESTAMPTZ
+);
+
+-- One open (pending or verified) claim per dApp and account.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dapp_claims_open
+  ON public.dapp_claims (dapp_id, account_id) WHERE status IN ('pending', 'verified');
+
+-- Verified badge and owner checks.
+CREATE INDEX IF NOT EXISTS idx_dapp_claims_verified
+  ON public.dapp_claims (dapp_id) WHERE status = 'verified';
+
+-- Edits proposed by verified owners, applied through the revision history
+-- (migration 010) once approved. `changes` holds the validated dapps_main
+-- column values; `revision_id` the revision the approval produced.
+CREATE TABLE IF NOT EXISTS public.dapp_edit_proposals (
+  proposal_id    SERIAL PRIMARY KEY,
+  dapp_id        INTEGER NOT NULL,
+  claim_id       INTEGER NOT NULL REFERENCES public.dapp_claims (claim_id),
+  account_id     TEXT NOT NULL,
+  changes        JSONB NOT NULL,
+  note           TEXT,
+  status         TEXT NOT NULL DEFAULT 'pending'
+                 CHECK (status IN ('pending', 'approved', 'rejected')),
+  revision_id    INTEGER REFERENCES public.dapp_revisions (revision_id),
+  reviewed_by    TEXT,
+  reject_reason  TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_dapp_edit_proposals_dapp
+  ON public.dapp_edit_proposals (dapp_id, status, proposal_id DESC);
@@ -0,0 +1,47 @@
+-- 013_dapp_website_checks.sql
+--
+-- Website liveness and TLS checks of listed dApps (utils/website-health.js).
+--
+-- Every check requests the dApp's website (dapps_main.website, or link when
+-- it has none) and records the outcome in dapp_website_checks: the HTTP
+-- status after following redirects, where the redirects ended, when the TLS
+-- certificate expires, the response time and the error of a failed request.
+--
+-- dapp_website_health keeps one row per checked dApp with its latest check
+-- and how many checks in a row have failed. A dApp is flagged (flagged_at)
+-- once that count reaches the configured threshold, and unflagged by the
+-- next successful check. GET /dapp-search?healthy=true leaves flagged dApps
+-- out.
+
+CREATE TABLE IF NOT EXISTS public.dapp_website_checks (
+  check_id          BIGSERIAL PRIMARY KEY,
+  dapp_id           INTEGER NOT NULL,
+  url               TEXT NOT NULL,
+  ok                BOOLEAN NOT NULL,
+  status_code       INTEGER,
+  final_url         TEXT,
+  tls_expires_at    TIMESTAMPTZ,
+  response_time_ms  INTEGER,
+  error             TEXT,
+  checked_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Check history per dApp, newest first.
+CREATE INDEX IF NOT EXISTS idx_dapp_website_checks_dapp_checked
+  ON public.dapp_website_checks (dapp_id, checked_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.dapp_website_health (
+  dapp_id               INTEGER PRIMARY KEY,
+  last_check_id         BIGINT NOT NULL REFERENCES public.dapp_website_checks (check_id),
+  consecutive_failures  INTEGER NOT NULL DEFAULT 0,
+  flagged_at            TIMESTAMPTZ,
+  checked_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- healthy=true/false search filter.
+CREATE INDEX IF NOT EXISTS idx_dapp_website_health_flagged
+  ON public.dapp_website_health (dapp_id) WHERE flagged_at IS NOT NULL;
+
+-- "Which dApps are due for a check?" before each round.
+CREATE INDEX IF NOT EXISTS idx_dapp_website_health_checked
+  ON public.dapp_website_health (checked_at);
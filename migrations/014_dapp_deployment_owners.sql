@@ -0,0 +1,22 @@
+-- 014_dapp_deployment_owners.sql
+--
+-- Owner wallet of each per-chain deployment (migrations/007): the deployer
+-- or admin EOA of the dApp's contracts on that chain, lower-cased like the
+-- contract addresses. The wallet method of ownership claims
+-- (utils/dapp-claims.js) accepts only a signature by this wallet; contract
+-- addresses cannot sign and can be listed by anyone through
+-- PUT /api/dapps/:dapp_id/deployments.
+--
+-- Owners are set by moderators with PUT
+-- /api/dapps/:dapp_id/deployments/:chain/owner, which records who set them
+-- and when. Replacing the deployments keeps the owner of every chain that
+-- stays listed.
+
+ALTER TABLE public.dapp_deployments ADD COLUMN IF NOT EXISTS owner_address TEXT;
+ALTER TABLE public.dapp_deployments ADD COLUMN IF NOT EXISTS owner_set_by TEXT;
+ALTER TABLE public.dapp_deployments ADD COLUMN IF NOT EXISTS owner_set_at TIMESTAMPTZ;
+
+-- Wallet claim checks (dapp_id = $1 AND owner_address = $2).
+CREATE INDEX IF NOT EXISTS idx_dapp_deployments_owner
+  ON public.dapp_deployments (dapp_id, owner_address)
+  WHERE owner_address IS NOT NULL;
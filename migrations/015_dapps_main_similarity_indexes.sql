@@ -0,0 +1,27 @@
+-- 015_dapps_main_similarity_indexes.sql
+--
+-- Indexes for the candidate set of GET /api/dapps/:dapp_id/similar
+-- (routes/similar-dapps.js): only dApps sharing a chain, category or tag
+-- with the target (`&&`), or with a similar description (pg_trgm `%`), are
+-- scored, so the query never reads every row of dapps_main.
+--
+-- Chains and categories are stored under their canonical taxonomy names
+-- (migrations/009), so a shared entry is a shared array element. Tags keep
+-- their case and are compared lower-cased, through dapp_tag_keys().
+
+-- Lower-cased, de-duplicated tags. IMMUTABLE so it can be indexed.
+CREATE OR REPLACE FUNCTION public.dapp_tag_keys(list TEXT[]) RETURNS TEXT[]
+  LANGUAGE sql IMMUTABLE AS $$ SELECT ARRAY(SELECT DISTINCT lower(t) FROM unnest(list) AS t) $$;
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_chains
+  ON public.dapps_main USING GIN (chains);
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_categories
+  ON public.dapps_main USING GIN (categories);
+
+CREATE INDEX IF NOT EXISTS idx_dapps_main_tag_keys
+  ON public.dapps_main USING GIN (public.dapp_tag_keys(tags));
+
+-- pg_trgm is created by migrations/002.
+CREATE INDEX IF NOT EXISTS idx_dapps_main_description_trgm
+  ON public.dapps_main USING GIN (description gin_trgm_ops);
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { authenticateToken } = require('../middleware/auth');
-const { generateDappId, cleanWebsiteUrl } = require('../utils/dapp-helpers');
+const { generateDappId, insertWithUniqueSlug } = require('../utils/dapp-helpers');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { invalidateDapp } = require('../utils/response-cache');
+const { resolveDeployments, replaceDeployments } = require('../utils/deployments');
+const { normalizeDappFields, findDuplicateDapp } = require('../utils/dapp-fields');
 
 /**
  * POST /api/dapps
@@ -13,81 +17,56 @@ const { generateDappId, cleanWebsiteUrl } = require('../utils/dapp-helpers');
  * - name (string, required)
  * - description (string, required)
  * - website (string, required) - official website URL
- * - chains (string|string[], required) - blockchain networks
- * - categories (string|string[], required) - dApp categories
+ * - chains (string|string[], required) - blockchain networks (names, slugs or aliases)
+ * - categories (string|string[], required) - dApp categories (names, slugs or aliases)
  * - full_description (string, optional)
  * - logo (string, optional) - URL to logo image
  * - social_links (object[], optional) - e.g. [{title, url, type}]
- * - tags (string[], optional)
+ * - tags (string[], optional) - tag names
+ * - deployments (object[], optional) - per-chain contracts, e.g.
+ *   [{ chain, contract_addresses, explorer_urls, deployed_at }]
+ *   (see PUT /api/dapps/:dapp_id/deployments)
+ *
+ * The dApp gets a unique URL slug derived from its name (insertWithUniqueSlug()).
+ *
+ * Chains and categories are resolved through the taxonomy (utils/taxonomy.js)
+ * and stored under their canonical names, e.g. ['bsc', 'exchange'] is stored
+ * as ["BNB Chain"] / ["Exchanges"]. Chains, categories and tags are stored as
+ * TEXT[] and social_links as a JSONB array (utils/dapp-lists.js).
  *
  * Response:
- * - 201: { success: true, data: { dapp_id, name, ... } }
- * - 400: validation error
+ * - 201: { success: true, data: { dapp_id, slug, name, ..., chain_ids, category_ids, deployments } }
+ * - 400: validation error, or { error, invalid: { chains?, categories? } }
+ *        for values missing from the taxonomy, { error, invalid: { tags?,
+ *        social_links? } } for malformed lists, or invalid deployments
  * - 409: duplicate dApp
  * - 500: server error
  */
 router.post('/api/dapps', authenticateToken, async function (req, res, next) {
   try {
-    const { name, description, website, chains, categories, full_description, logo, social_links, tags } = req.body;
-
-    // --- Validate required fields ---
-    const missing = [];
-    if (!name || name.trim() === '') missing.push('name');
-    if (!description || description.trim() === '') missing.push('description');
-    if (!website || website.trim() === '') missing.push('website');
-    if (!chains || (Array.isArray(chains) && chains.length === 0)) missing.push('chains');
-    if (!categories || (Array.isArray(categories) && categories.length === 0)) missing.push('categories');
-
-    if (missing.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        missing
-      });
-    }
-
-    // --- Clean and normalize website URL ---
-    const cleanedWebsite = cleanWebsiteUrl(website);
-    if (!cleanedWebsite) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid website URL'
-      });
+    // --- Validate and normalize the listing fields (utils/dapp-fields.js) ---
+    const taxonomy = await loadTaxonomy();
+    const fields = normalizeDappFields(taxonomy, req.body);
+    if (fields.error) {
+      return res.status(400).json(fields.error);
     }
+    const { values } = fields;
 
-    // --- Check for duplicates ---
-    // 1. By cleaned website URL (case-insensitive, trailing slash normalized)
-    const byWebsite = await db.query(
-      `SELECT dapp_id, name FROM public.dapps_main
-       WHERE LOWER(REPLACE(website, '/', '')) = LOWER(REPLACE($1, '/', ''))
-       LIMIT 1`,
-      [cleanedWebsite]
-    );
-    if (byWebsite.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'A dApp with this website already exists',
-        existing: { dapp_id: byWebsite.rows[0].dapp_id, name: byWebsite.rows[0].name }
-      });
+    const resolvedDeployments = req.body.deployments === undefined
+      ? { deployments: [], error: null }
+      : resolveDeployments(taxonomy, req.body.deployments);
+    if (resolvedDeployments.error) {
+      return res.status(400).json(resolvedDeployments.error);
     }
 
-    // 2. By name (case-insensitive)
-    const byName = await db.query(
-      `SELECT dapp_id, name FROM public.dapps_main
-       WHERE LOWER(TRIM(name)) = LOWER(TRIM($1))
-       LIMIT 1`,
-      [name]
-    );
-    if (byName.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'A dApp with this name already exists',
-        existing: { dapp_id: byName.rows[0].dapp_id, name: byName.rows[0].name }
-      });
+    // --- Check for duplicates by cleaned website URL and by name ---
+    const duplicate = await findDuplicateDapp(db, values);
+    if (duplicate) {
+      return res.status(409).json(duplicate);
     }
 
     // --- Generate dapp_id ---
-    const dappId = generateDappId(cleanedWebsite);
+    const dappId = generateDappId(values.website);
 
     // Check for ID collision (extremely unlikely with MD5 but safe)
     const byId = await db.query(
@@ -101,36 +80,52 @@ router.post('/api/dapps', authenticateToken, async function (req, res, next) {
       });
     }
 
-    // --- Normalize array fields to JSON strings (matching existing DB format) ---
-    const chainsStr = Array.isArray(chains) ? JSON.stringify(chains) : chains;
-    const categoriesStr = Array.isArray(categories) ? JSON.stringify(categories) : categories;
-    const tagsStr = tags ? (Array.isArray(tags) ? JSON.stringify(tags) : tags) : null;
-    const socialLinksStr = social_links ? JSON.stringify(social_links) : null;
+    // --- Insert into dapps_main, with its deployments ---
+    const client = await db.pool.connect();
+    let insertResult;
+    try {
+      await client.query('BEGIN');
+      const inserted = await insertWithUniqueSlug(client, values.name, slug => client.query(
+        `INSERT INTO public.dapps_main
+          (dapp_id, slug, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+         RETURNING dapp_id, slug, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at`,
+        [
+          dappId,
+          slug,
+          values.name,
+          values.description,
+          values.full_description,
+          values.logo,
+          values.link,       // link = website
+          values.website,
+          values.chains,
+          values.categories,
+          JSON.stringify(values.social_links), // JSONB; a JS array would be sent as a PG array
+          values.tags
+        ]
+      ));
+      insertResult = inserted.result;
+      await replaceDeployments(client, dappId, resolvedDeployments.deployments);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
-    // --- Insert into dapps_main ---
-    const insertResult = await db.query(
-      `INSERT INTO public.dapps_main
-        (dapp_id, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
-       RETURNING dapp_id, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at`,
-      [
-        dappId,
-        name.trim(),
-        description.trim(),
-        full_description ? full_description.trim() : null,
-        logo || null,
-        cleanedWebsite,    // link = website
-        cleanedWebsite,
-        chainsStr,
-        categoriesStr,
-        socialLinksStr,
-        tagsStr
-      ]
-    );
+    // The new dApp must show up in cached listings right away.
+    await invalidateDapp(dappId);
 
     res.status(201).json({
       success: true,
-      data: insertResult.rows[0],
+      data: {
+        ...insertResult.rows[0],
+        chain_ids: fields.chainIds,
+        category_ids: fields.categoryIds,
+        deployments: resolvedDeployments.deployments
+      },
       message: 'dApp added successfully. Reviews will be generated automatically.'
     });
 
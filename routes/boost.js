@@ -2,6 +2,29 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db");
 const { authenticateToken } = require("../middleware/auth");
+const { buildDappFilters, toWhereSQL } = require("../utils/dapp-filters");
+const { computeFacets } = require("../utils/dapp-facets");
+const { loadTaxonomy } = require("../utils/taxonomy");
+const responseCache = require("../utils/response-cache");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorValuesMatch,
+  keysetClause,
+  keysetOrderBy,
+  cursorValuesSQL,
+  wantsTotalCount,
+} = require("../utils/dapp-cursor");
+
+/**
+ * Sort key of the boost leaderboard, used for ordering and keyset cursors.
+ * dm.dapp_id is appended as the tiebreaker by keysetOrderBy().
+ */
+var BOOST_TOP_SORT = {
+  key: "boost",
+  direction: "desc",
+  keys: [{ expression: "db.boost_point", direction: "desc", type: "number" }],
+};
 
 /**
  * Stripe Configuration
@@ -48,25 +71,6 @@ function isValidAmount(amount) {
   return Number.isInteger(num) && num >= 1 && num <= 100;
 }
 
-/**
- * Builds a SQL OR clause for a TEXT column that stores comma-separated values.
- * Uses ILIKE for case-insensitive substring matching.
- * Only safe for controlled dropdown values — not arbitrary user input.
- *
- * @param {string} field  - Qualified column name, e.g. "dm.categories"
- * @param {string[]} values - Array of filter values
- * @returns {string} SQL fragment or '' if values is empty
- */
-function buildOrClause(field, values) {
-  if (!values || values.length === 0) return "";
-  if (!Array.isArray(values)) values = [values];
-  return values
-    .map(function (val) {
-      return field + " ILIKE '%" + val + "%'";
-    })
-    .join(" OR ");
-}
-
 /**
  * POST /api/boost/create-payment-intent
  *
@@ -215,6 +219,11 @@ router.post("/api/boost/webhook", async function (req, res, next) {
         }
 
         await client.query("COMMIT");
+
+        // Boost points change boost rankings and sponsored labels
+        if (updateTxn.rowCount > 0) {
+          await responseCache.invalidateDapp(dapp_id);
+        }
       } catch (err) {
         await client.query("ROLLBACK");
         throw err;
@@ -242,15 +251,30 @@ router.post("/api/boost/webhook", async function (req, res, next) {
  * Returns paginated boosted DApps ordered by total boost points descending.
  * Supports filtering by category, chain, ratings, and name — same params
  * as /dapp-search so the frontend can pass the same filters to both tables.
+ * Filters are built by the shared engine in utils/dapp-filters.js; chain and
+ * category values resolve through the taxonomy (utils/taxonomy.js). Unknown
+ * chain/category values or a malformed rating produce a 400 listing them.
+ * Only active dApps are listed (utils/dapp-status.js).
  *
  * @route GET /api/boost/top
  * @param {number}        [req.query.page=1]     - Page number (1-indexed)
  * @param {number}        [req.query.limit=3]    - Results per page
  * @param {string|string[]} [req.query.category] - Filter by category (comma-separated or repeated)
  * @param {string|string[]} [req.query.chain]    - Filter by chain
+ * @param {string}        [req.query.chain_mode] - 'any' (default) or 'all'; category_mode likewise
+ * @param {string|string[]} [req.query.exclude_chain] - Chains to exclude; exclude_category likewise
  * @param {number}        [req.query.ratings]    - Minimum rating threshold
  * @param {string}        [req.query.name]       - Case-insensitive name search
- * @returns {Object} JSON array of boosted DApps with pagination metadata
+ * @param {number}        [req.query.min_uaw]    - Metric bounds; also max_uaw, min_volume, min_transactions, min_balance
+ * @param {string}        [req.query.facets]     - 'true' to include chain/category/rating facet counts
+ * @param {string}        [req.query.cursor]     - Opaque next_cursor from a previous page (keyset mode; page is ignored)
+ * @param {string}        [req.query.count]      - 'false' to skip the COUNT query (total/totalPages become null)
+ * Every row is paid placement and carries `sponsored: true` for the UI label.
+ * Responses are cached (utils/response-cache.js, X-Cache header) and
+ * invalidated when a boost payment succeeds.
+ *
+ * @returns {Object} JSON array of boosted DApps with pagination metadata;
+ *   pagination.next_cursor continues after the last row (null on the last page)
  */
 router.get(
   "/api/boost/top",
@@ -260,79 +284,103 @@ router.get(
       var page = Math.max(1, parseInt(req.query.page) || 1);
       var limit = Math.max(1, parseInt(req.query.limit) || 3);
       var offset = (page - 1) * limit;
-      var category = req.query.category;
-      var chain = req.query.chain;
-      var ratings = req.query.ratings;
-      var name = req.query.name;
-
-      // Build dynamic WHERE clauses matching dapp-search filter logic
-      var whereClauses = ["db.boost_point > 0"];
-      var whereParams = [];
-      var paramIndex = 1;
-
-      if (category) {
-        var categories = Array.isArray(category)
-          ? category
-          : category.split(",");
-        var clause = buildOrClause("dm.categories", categories);
-        if (clause) whereClauses.push("(" + clause + ")");
-      }
 
-      if (chain) {
-        var chains = Array.isArray(chain) ? chain : chain.split(",");
-        var clause2 = buildOrClause("dm.chains", chains);
-        if (clause2) whereClauses.push("(" + clause2 + ")");
+      // Same filter engine as /dapp-search so both listings always agree
+      var taxonomy = await loadTaxonomy();
+      var filters = buildDappFilters(req.query, { taxonomy: taxonomy });
+      if (filters.error) {
+        return res.status(400).json(filters.error);
       }
 
-      if (ratings) {
-        whereClauses.push("rm.ratings >= " + parseFloat(ratings));
+      var baseClauses = ["db.boost_point > 0"];
+      var fromSQL =
+        "dapp_boosts db JOIN dapps_main dm ON dm.dapp_id = db.dapp_id LEFT JOIN reviews_make rm ON rm.dapp_id = db.dapp_id";
+      var whereSQL = toWhereSQL(baseClauses.concat(filters.clauses));
+      var countParams = filters.params.slice();
+      var withCount = wantsTotalCount(req.query);
+
+      // Keyset mode: rows strictly after the cursor, ties broken by dapp_id
+      var pageClauses = baseClauses.concat(filters.clauses);
+      var cursor = null;
+      if (req.query.cursor !== undefined) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor || cursor.key !== BOOST_TOP_SORT.key || !cursorValuesMatch(BOOST_TOP_SORT.keys, cursor.values)) {
+          return res.status(400).json({ success: false, error: "Invalid cursor" });
+        }
+        pageClauses.push(keysetClause(BOOST_TOP_SORT.keys, cursor.values, cursor.dappId, filters.bind));
       }
 
-      if (name) {
-        whereClauses.push("dm.name ILIKE $" + paramIndex);
-        whereParams.push("%" + name + "%");
-        paramIndex++;
+      // Only valid requests reach the cache, so errors are never cached
+      var cached = await responseCache.lookup(responseCache.CACHE_NAMESPACES.BOOST_TOP, req.query);
+      res.set(responseCache.CACHE_HEADER, cached.status);
+      if (cached.hit) {
+        return res.status(200).json(cached.value);
       }
 
-      var whereSQL = "WHERE " + whereClauses.join(" AND ");
-      var limitParam = "$" + paramIndex;
-      var offsetParam = "$" + (paramIndex + 1);
-      var queryParams = whereParams.concat([limit, offset]);
-      var countParams = whereParams.slice();
+      // One extra row tells us whether another page exists
+      var limitParam = filters.bind(limit + 1);
+      var offsetParam = filters.bind(cursor ? 0 : offset);
+      var queryParams = filters.params;
 
       // Run data query and count query in parallel
       var dataQuery =
-        "SELECT dm.dapp_id, dm.name, dm.logo, dm.link, dm.chains, dm.categories, COALESCE(rm.ratings, 0) AS ratings, db.boost_point FROM dapp_boosts db JOIN dapps_main dm ON dm.dapp_id = db.dapp_id LEFT JOIN reviews_make rm ON rm.dapp_id = db.dapp_id " +
-        whereSQL +
-        " ORDER BY db.boost_point DESC LIMIT " +
+        "SELECT dm.dapp_id, dm.name, dm.logo, dm.link, dm.chains, dm.categories, COALESCE(rm.ratings, 0) AS ratings, db.boost_point, db.boost_point > 0 AS sponsored, " +
+        cursorValuesSQL(BOOST_TOP_SORT.keys) +
+        " FROM " +
+        fromSQL +
+        " " +
+        toWhereSQL(pageClauses) +
+        " ORDER BY " +
+        keysetOrderBy(BOOST_TOP_SORT.keys) +
+        " LIMIT " +
         limitParam +
         " OFFSET " +
         offsetParam;
 
-      var countQuery =
-        "SELECT COUNT(*) FROM dapp_boosts db JOIN dapps_main dm ON dm.dapp_id = db.dapp_id LEFT JOIN reviews_make rm ON rm.dapp_id = db.dapp_id " +
-        whereSQL;
+      var countQuery = "SELECT COUNT(*) FROM " + fromSQL + " " + whereSQL;
 
       var results = await Promise.all([
         db.query(dataQuery, queryParams),
-        db.query(countQuery, countParams),
+        withCount ? db.query(countQuery, countParams) : null,
       ]);
 
       var result = results[0];
       var countResult = results[1];
-      var total = parseInt(countResult.rows[0].count);
-      var totalPages = Math.ceil(total / limit);
+      var total = countResult ? parseInt(countResult.rows[0].count) : null;
+      var totalPages = total !== null ? Math.ceil(total / limit) : null;
+
+      var rows = result.rows.slice(0, limit);
+      var lastRow = rows[rows.length - 1];
+      var nextCursor =
+        result.rows.length > limit
+          ? encodeCursor(BOOST_TOP_SORT, lastRow.cursor_values, lastRow.dapp_id)
+          : null;
+      rows.forEach(function (row) {
+        delete row.cursor_values;
+      });
 
-      return res.status(200).json({
+      var body = {
         success: true,
-        data: result.rows,
+        data: rows,
         pagination: {
           page: page,
           limit: limit,
           total: total,
           totalPages: totalPages,
+          next_cursor: nextCursor,
         },
-      });
+      };
+
+      if (req.query.facets === "true") {
+        body.facets = await computeFacets(req.query, {
+          from: fromSQL,
+          baseClauses: baseClauses,
+          filterOptions: { taxonomy: taxonomy },
+        });
+      }
+
+      cached.save(body);
+      return res.status(200).json(body);
     } catch (err) {
       console.error("Error fetching top boosted DApps:", err);
       res.status(500).json({
@@ -0,0 +1,753 @@
+/**
+ * routes/dapp-claims.js
+ *
+ * Project-owner claims on listings and the edits verified owners propose
+ * (utils/dapp-claims.js, migrations/012_dapp_claims.sql).
+ *
+ * Endpoints:
+ *   POST  /api/dapps/:dapp_id/claims                      - Request a claim (challenge token)
+ *   GET   /api/claims/:claim_id                           - A claim with its instructions
+ *   POST  /api/claims/:claim_id/verify                    - Verify a claim
+ *   PATCH /api/claims/:claim_id/revoke                    - Revoke a claim (moderation)
+ *   GET   /api/dapps/:dapp_id/claims                      - Claims on a dApp (moderation)
+ *   POST  /api/dapps/:dapp_id/edit-proposals              - Propose an edit (verified owners)
+ *   GET   /api/dapps/:dapp_id/edit-proposals              - Proposed edits of a dApp
+ *   PATCH /api/edit-proposals/:proposal_id/approve        - Apply a proposed edit
+ *   PATCH /api/edit-proposals/:proposal_id/reject         - Reject a proposed edit
+ *
+ * Claims are made from the team's wallet account (accountId, as for
+ * favorites and saved searches). A dApp with a verified claim shows
+ * `verified: true` in its detail response. Approved proposals are applied
+ * like PATCH /api/dapps/:dapp_id and recorded in the dApp's history with the
+ * reviewer as actor.
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidAccountId } = require('../utils/account');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { invalidateDapp } = require('../utils/response-cache');
+const { EDITABLE_FIELDS, normalizeDappFields } = require('../utils/dapp-fields');
+const { runDappEdit } = require('../utils/dapp-revisions');
+const {
+  CLAIM_TTL_DAYS,
+  CLAIM_METHODS,
+  CLAIM_FIELDS,
+  generateClaimToken,
+  claimInstructions,
+  checkClaimProof,
+  findVerifiedClaim
+} = require('../utils/dapp-claims');
+
+const CLAIM_STATUSES = ['pending', 'verified', 'revoked'];
+const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_CONTACT_LENGTH = 200;
+const MAX_NOTE_LENGTH = 1000;
+
+const INVALID_ACCOUNT = 'Invalid or missing accountId. Must be a valid blockchain address.';
+
+/**
+ * A claim as returned to moderators: without the challenge token.
+ *
+ * @param {Object} claim - dapp_claims row
+ * @returns {Object}
+ */
+function withoutToken(claim) {
+  const { token, ...rest } = claim;
+  return rest;
+}
+
+/**
+ * Validates the optional ?status= filter of the moderation lists.
+ *
+ * @param {*} status
+ * @param {string[]} allowed
+ * @returns {{ status: string|null, error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function parseStatusFilter(status, allowed) {
+  if (status === undefined || status === '') return { status: null, error: null };
+  if (!allowed.includes(status)) {
+    return { status: null, error: { success: false, error: 'Invalid status', allowed } };
+  }
+  return { status, error: null };
+}
+
+/**
+ * Loads a claim with its dApp's website.
+ *
+ * @param {number|string} claimId
+ * @returns {Promise<Object|null>}
+ */
+async function loadClaim(claimId) {
+  const result = await db.query(
+    `SELECT c.*, dm.website
+     FROM public.dapp_claims c
+     JOIN public.dapps_main dm ON dm.dapp_id = c.dapp_id
+     WHERE c.claim_id = $1`,
+    [claimId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * POST /api/dapps/:dapp_id/claims
+ *
+ * Requests an ownership claim. The response holds the challenge token and
+ * how to publish it; the claim stays pending until verified, for
+ * CLAIM_TTL_DAYS days. An account can have one open claim per dApp.
+ *
+ * Request body:
+ *   accountId (string) - The team's wallet account
+ *   contact   (string, optional) - How moderators can reach the team
+ *
+ * Response:
+ *   201: { success, data: { claim_id, dapp_id, account_id, token, status,
+ *          expires_at, ..., instructions: { http, dns, wallet } } }
+ *   400: invalid dapp_id, accountId or contact
+ *   404: dApp not found
+ *   409: the account already has a pending or verified claim on the dApp
+ */
+router.post('/api/dapps/:dapp_id/claims', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+    const { accountId, contact } = req.body || {};
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({ success: false, error: INVALID_ACCOUNT });
+    }
+    if (contact !== undefined && contact !== null &&
+        (typeof contact !== 'string' || contact.trim().length > MAX_CONTACT_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `contact must be a string of at most ${MAX_CONTACT_LENGTH} characters`
+      });
+    }
+
+    const dapp = await db.query('SELECT dapp_id, website FROM public.dapps_main WHERE dapp_id = $1', [dapp_id]);
+    if (dapp.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    // An expired claim no longer blocks a new one.
+    await db.query(
+      `UPDATE public.dapp_claims
+       SET status = 'revoked', revoke_reason = 'Expired', revoked_at = NOW()
+       WHERE dapp_id = $1 AND account_id = $2 AND status = 'pending' AND expires_at <= NOW()`,
+      [dapp_id, accountId]
+    );
+
+    // A concurrent request for the same account can insert first; the unique
+    // open-claim index then skips this insert and both end up answering 409.
+    const result = await db.query(
+      `INSERT INTO public.dapp_claims (dapp_id, account_id, client_id, contact, token, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+       ON CONFLICT DO NOTHING
+       RETURNING ${CLAIM_FIELDS}`,
+      [
+        dapp_id,
+        accountId,
+        req.user && req.user.clientId ? String(req.user.clientId) : null,
+        contact ? contact.trim() || null : null,
+        generateClaimToken(),
+        CLAIM_TTL_DAYS
+      ]
+    );
+    if (result.rows.length === 0) {
+      const open = await db.query(
+        `SELECT claim_id, status FROM public.dapp_claims
+         WHERE dapp_id = $1 AND account_id = $2 AND status IN ('pending', 'verified')`,
+        [dapp_id, accountId]
+      );
+      return res.status(409).json({
+        success: false,
+        error: 'This account already has an open claim on this dApp',
+        claim_id: open.rows.length > 0 ? open.rows[0].claim_id : null,
+        status: open.rows.length > 0 ? open.rows[0].status : null
+      });
+    }
+    const claim = result.rows[0];
+
+    res.status(201).json({
+      success: true,
+      data: { ...claim, instructions: claimInstructions(claim, dapp.rows[0].website) }
+    });
+  } catch (err) {
+    console.error('Error creating claim:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create claim',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/claims/:claim_id?accountId=
+ *
+ * A claim with its verification instructions, for the account that made it.
+ *
+ * Response:
+ *   200: { success, data: { ...claim, instructions } }
+ *   400: invalid claim_id or accountId
+ *   404: no such claim for this account
+ */
+router.get('/api/claims/:claim_id', authenticateToken, async function (req, res, next) {
+  try {
+    const { claim_id } = req.params;
+    const { accountId } = req.query;
+
+    if (!claim_id || isNaN(claim_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid claim_id parameter'
+      });
+    }
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({ success: false, error: INVALID_ACCOUNT });
+    }
+
+    const claim = await loadClaim(claim_id);
+    if (!claim || claim.account_id !== accountId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const { website, ...data } = claim;
+    res.json({
+      success: true,
+      data: { ...data, instructions: claimInstructions(data, website) }
+    });
+  } catch (err) {
+    console.error('Error fetching claim:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch claim',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/claims/:claim_id/verify
+ *
+ * Checks the proof of a pending claim with the given method and marks the
+ * claim verified when it holds. Failed attempts are counted and the last
+ * failure reason is kept on the claim.
+ *
+ * Request body:
+ *   accountId (string) - The account that made the claim
+ *   method    (string) - http | dns | wallet
+ *   address   (string) - wallet only: the 0x address that signed, the owner
+ *                        wallet of one of the dApp's deployments
+ *   signature (string) - wallet only: signature of instructions.wallet.message
+ *
+ * Response:
+ *   200: { success, data: claim } - verified (or already was)
+ *   400: invalid parameters, or { success: false, error: 'Verification failed', reason }
+ *   404: no such claim for this account
+ *   409: the claim was revoked
+ *   410: the claim expired; request a new one
+ */
+router.post('/api/claims/:claim_id/verify', authenticateToken, async function (req, res, next) {
+  try {
+    const { claim_id } = req.params;
+    const body = req.body || {};
+
+    if (!claim_id || isNaN(claim_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid claim_id parameter'
+      });
+    }
+    if (!isValidAccountId(body.accountId)) {
+      return res.status(400).json({ success: false, error: INVALID_ACCOUNT });
+    }
+    if (!CLAIM_METHODS.includes(body.method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid method',
+        allowed: CLAIM_METHODS
+      });
+    }
+
+    const claim = await loadClaim(claim_id);
+    if (!claim || claim.account_id !== body.accountId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const { website, ...data } = claim;
+    if (data.status === 'verified') {
+      return res.json({ success: true, data });
+    }
+    if (data.status === 'revoked') {
+      return res.status(409).json({
+        success: false,
+        error: 'Claim has been revoked',
+        reason: data.revoke_reason
+      });
+    }
+    if (new Date(data.expires_at) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: 'Claim has expired; request a new one',
+        expired_at: data.expires_at
+      });
+    }
+
+    const check = await checkClaimProof(body.method, data, website, body);
+
+    if (check.error) {
+      await db.query(
+        `UPDATE public.dapp_claims SET attempts = attempts + 1, last_error = $2
+         WHERE claim_id = $1 AND status = 'pending'`,
+        [claim_id, check.error]
+      );
+      return res.status(400).json({
+        success: false,
+        error: 'Verification failed',
+        reason: check.error
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE public.dapp_claims
+       SET status = 'verified', method = $2, proof = $3, attempts = attempts + 1,
+           last_error = NULL, verified_at = NOW()
+       WHERE claim_id = $1 AND status = 'pending'
+       RETURNING ${CLAIM_FIELDS}`,
+      [claim_id, body.method, JSON.stringify(check.proof)]
+    );
+    if (result.rows.length === 0) {
+      // Revoked while the proof was being checked.
+      return res.status(409).json({
+        success: false,
+        error: 'Claim is no longer pending'
+      });
+    }
+
+    await invalidateDapp(data.dapp_id);
+
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error verifying claim:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify claim',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/claims/:claim_id/revoke
+ *
+ * Revokes a pending or verified claim, e.g. one obtained with a website the
+ * team no longer controls. A revoked owner can no longer propose edits.
+ *
+ * Request body:
+ *   revoked_by    (string) - Moderator revoking the claim
+ *   revoke_reason (string, optional)
+ *
+ * Response:
+ *   200: { success, data: claim } (without token)
+ *   400: invalid claim_id or missing revoked_by
+ *   404: claim not found
+ *   409: the claim is already revoked
+ */
+router.patch('/api/claims/:claim_id/revoke', authenticateToken, async function (req, res, next) {
+  try {
+    const { claim_id } = req.params;
+    const { revoked_by, revoke_reason } = req.body || {};
+
+    if (!claim_id || isNaN(claim_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid claim_id parameter'
+      });
+    }
+    if (!revoked_by || typeof revoked_by !== 'string' || revoked_by.trim() === '') {
+      return res.status(400).json({ success: false, error: 'revoked_by is required' });
+    }
+
+    const result = await db.query(
+      `UPDATE public.dapp_claims
+       SET status = 'revoked', revoked_by = $2, revoke_reason = $3, revoked_at = NOW()
+       WHERE claim_id = $1 AND status IN ('pending', 'verified')
+       RETURNING ${CLAIM_FIELDS}`,
+      [claim_id, revoked_by.trim(), typeof revoke_reason === 'string' && revoke_reason.trim() ? revoke_reason.trim() : null]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await db.query('SELECT status FROM public.dapp_claims WHERE claim_id = $1', [claim_id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Claim not found' });
+      }
+      return res.status(409).json({ success: false, error: 'Claim is already revoked' });
+    }
+
+    await invalidateDapp(result.rows[0].dapp_id);
+
+    res.json({ success: true, data: withoutToken(result.rows[0]) });
+  } catch (err) {
+    console.error('Error revoking claim:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke claim',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/dapps/:dapp_id/claims?status=
+ *
+ * Claims on a dApp, newest first, without their tokens.
+ *
+ * Query parameters:
+ *   status  string  pending | verified | revoked. Default: all.
+ *
+ * Response:
+ *   200: { success, data: [claim] }
+ *   400: invalid dapp_id or status
+ */
+router.get('/api/dapps/:dapp_id/claims', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const filter = parseStatusFilter(req.query.status, CLAIM_STATUSES);
+    if (filter.error) {
+      return res.status(400).json(filter.error);
+    }
+
+    const result = await db.query(
+      `SELECT ${CLAIM_FIELDS} FROM public.dapp_claims
+       WHERE dapp_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY claim_id DESC`,
+      [dapp_id, filter.status]
+    );
+
+    res.json({ success: true, data: result.rows.map(withoutToken) });
+  } catch (err) {
+    console.error('Error fetching claims:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch claims',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/dapps/:dapp_id/edit-proposals
+ *
+ * Proposes an edit of the listing as a verified owner. The changes are
+ * validated like PATCH /api/dapps/:dapp_id and applied once a moderator
+ * approves them.
+ *
+ * Request body:
+ *   accountId (string) - A verified owner's account
+ *   changes   (object) - name, description, full_description, logo, website,
+ *                        chains, categories, social_links, tags (any of them)
+ *   note      (string, optional) - Context for the reviewer
+ *
+ * Response:
+ *   201: { success, data: { proposal_id, dapp_id, claim_id, account_id,
+ *          changes, note, status, created_at, ... } }
+ *   400: invalid dapp_id, accountId, note, unknown or no fields, invalid values
+ *   403: the account is not a verified owner of the dApp
+ */
+router.post('/api/dapps/:dapp_id/edit-proposals', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+    const { accountId, changes, note } = req.body || {};
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({ success: false, error: INVALID_ACCOUNT });
+    }
+    if (note !== undefined && note !== null &&
+        (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+      });
+    }
+
+    const claim = await findVerifiedClaim(dapp_id, accountId);
+    if (!claim) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only verified owners can propose edits'
+      });
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'changes must be an object',
+        allowed: EDITABLE_FIELDS
+      });
+    }
+    const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown fields',
+        invalid: unknown,
+        allowed: EDITABLE_FIELDS
+      });
+    }
+    if (!EDITABLE_FIELDS.some(field => changes[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update',
+        allowed: EDITABLE_FIELDS
+      });
+    }
+
+    const fields = normalizeDappFields(await loadTaxonomy(), changes, { partial: true });
+    if (fields.error) {
+      return res.status(400).json(fields.error);
+    }
+
+    const result = await db.query(
+      `INSERT INTO public.dapp_edit_proposals (dapp_id, claim_id, account_id, changes, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [dapp_id, claim.claim_id, accountId, JSON.stringify(fields.values), note ? note.trim() || null : null]
+    );
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error creating edit proposal:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create edit proposal',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/dapps/:dapp_id/edit-proposals?status=
+ *
+ * Proposed edits of a dApp, newest first.
+ *
+ * Query parameters:
+ *   status  string  pending | approved | rejected. Default: all.
+ *
+ * Response:
+ *   200: { success, data: [proposal] }
+ *   400: invalid dapp_id or status
+ */
+router.get('/api/dapps/:dapp_id/edit-proposals', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const filter = parseStatusFilter(req.query.status, PROPOSAL_STATUSES);
+    if (filter.error) {
+      return res.status(400).json(filter.error);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM public.dapp_edit_proposals
+       WHERE dapp_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY proposal_id DESC`,
+      [dapp_id, filter.status]
+    );
+
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching edit proposals:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch edit proposals',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/edit-proposals/:proposal_id/approve
+ *
+ * Applies a pending proposal to the listing as one revision with the
+ * reviewer as actor. The proposer must still be a verified owner, and a new
+ * website or name must not belong to another listing.
+ *
+ * Request body:
+ *   reviewed_by (string) - Moderator approving the proposal
+ *
+ * Response:
+ *   200: same as PATCH /api/dapps/:dapp_id, plus `proposal`
+ *   400: invalid proposal_id or missing reviewed_by
+ *   404: proposal or dApp not found
+ *   409: the proposal was already reviewed, its claim was revoked, or
+ *        another dApp has the proposed website or name
+ */
+router.patch('/api/edit-proposals/:proposal_id/approve', authenticateToken, async function (req, res, next) {
+  try {
+    const { proposal_id } = req.params;
+    const { reviewed_by } = req.body || {};
+
+    if (!proposal_id || isNaN(proposal_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid proposal_id parameter'
+      });
+    }
+    if (!reviewed_by || typeof reviewed_by !== 'string' || reviewed_by.trim() === '') {
+      return res.status(400).json({ success: false, error: 'reviewed_by is required' });
+    }
+
+    const found = await db.query('SELECT dapp_id FROM public.dapp_edit_proposals WHERE proposal_id = $1', [proposal_id]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Edit proposal not found' });
+    }
+    const dappId = found.rows[0].dapp_id;
+
+    const meta = {
+      actor: reviewed_by.trim(),
+      clientId: req.user && req.user.clientId ? String(req.user.clientId) : null
+    };
+
+    let proposal = null;
+    const outcome = await runDappEdit(dappId, meta, async (client) => {
+      const locked = await client.query(
+        `SELECT p.*, c.status AS claim_status
+         FROM public.dapp_edit_proposals p
+         JOIN public.dapp_claims c ON c.claim_id = p.claim_id
+         WHERE p.proposal_id = $1
+         FOR UPDATE OF p`,
+        [proposal_id]
+      );
+      const row = locked.rows[0];
+      if (row.status !== 'pending') {
+        return { status: 409, body: { success: false, error: `Edit proposal is already ${row.status}` } };
+      }
+      if (row.claim_status !== 'verified') {
+        return { status: 409, body: { success: false, error: 'The proposer is no longer a verified owner' } };
+      }
+      return { values: row.changes };
+    }, async (client, { revision }) => {
+      const updated = await client.query(
+        `UPDATE public.dapp_edit_proposals
+         SET status = 'approved', revision_id = $2, reviewed_by = $3, reviewed_at = NOW()
+         WHERE proposal_id = $1
+         RETURNING *`,
+        [proposal_id, revision ? revision.revision_id : null, meta.actor]
+      );
+      proposal = updated.rows[0];
+    });
+
+    if (outcome.body.revision) {
+      await invalidateDapp(dappId);
+    }
+
+    res.status(outcome.status).json(proposal ? { ...outcome.body, proposal } : outcome.body);
+  } catch (err) {
+    console.error('Error approving edit proposal:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve edit proposal',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/edit-proposals/:proposal_id/reject
+ *
+ * reject_reason is optional, as for submissions.
+ *
+ * Request body:
+ *   reviewed_by   (string) - Moderator rejecting the proposal
+ *   reject_reason (string, optional)
+ *
+ * Response:
+ *   200: { success, data: proposal }
+ *   400: invalid proposal_id or missing reviewed_by
+ *   404: proposal not found
+ *   409: the proposal was already reviewed
+ */
+router.patch('/api/edit-proposals/:proposal_id/reject', authenticateToken, async function (req, res, next) {
+  try {
+    const { proposal_id } = req.params;
+    const { reviewed_by, reject_reason } = req.body || {};
+
+    if (!proposal_id || isNaN(proposal_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid proposal_id parameter'
+      });
+    }
+    if (!reviewed_by || typeof reviewed_by !== 'string' || reviewed_by.trim() === '') {
+      return res.status(400).json({ success: false, error: 'reviewed_by is required' });
+    }
+
+    const result = await db.query(
+      `UPDATE public.dapp_edit_proposals
+       SET status = 'rejected', reject_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE proposal_id = $1 AND status = 'pending'
+       RETURNING *`,
+      [proposal_id, typeof reject_reason === 'string' && reject_reason.trim() ? reject_reason.trim() : null, reviewed_by.trim()]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await db.query('SELECT status FROM public.dapp_edit_proposals WHERE proposal_id = $1', [proposal_id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Edit proposal not found' });
+      }
+      return res.status(409).json({ success: false, error: `Edit proposal is already ${existing.rows[0].status}` });
+    }
+
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error rejecting edit proposal:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject edit proposal',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
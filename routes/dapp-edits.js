@@ -0,0 +1,431 @@
+/**
+ * routes/dapp-edits.js
+ *
+ * Corrections to existing listings and their listing status, with a
+ * field-level change history (utils/dapp-revisions.js,
+ * migrations/010_dapp_revisions.sql).
+ *
+ * Endpoints:
+ *   PATCH  /api/dapps/:dapp_id                                 - Edit a listing
+ *   PUT    /api/dapps/:dapp_id/status                          - Set its listing status
+ *   DELETE /api/dapps/:dapp_id                                 - Soft delete (archive) it
+ *   GET    /api/moderation/dapps                               - Listings by status (moderation)
+ *   GET    /api/dapps/:dapp_id/history                         - Its revisions, newest first
+ *   POST   /api/dapps/:dapp_id/revisions/:revision_id/revert   - Restore the state after a revision
+ *
+ * Every edit that changes something is recorded as one revision with the
+ * before/after value of each changed column and the actor: the request's
+ * `actor`, or the API client of the token when none is given. The slug is
+ * not changed by a rename, so existing links keep working.
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { invalidateDapp } = require('../utils/response-cache');
+const { EDITABLE_FIELDS, normalizeDappFields } = require('../utils/dapp-fields');
+const { resolveActor, runDappEdit, valuesAtRevision, loadRevisions } = require('../utils/dapp-revisions');
+const { parseListParam } = require('../utils/dapp-filters');
+const { LISTING_STATUSES, ACTIVE_STATUS, resolveStatusChange } = require('../utils/dapp-status');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+const DEFAULT_MODERATION_LIMIT = 20;
+const MAX_MODERATION_LIMIT = 100;
+
+/**
+ * PATCH /api/dapps/:dapp_id
+ *
+ * Edits a listing. Only the fields given are changed; they are validated
+ * like POST /api/dapps (utils/dapp-fields.js): required fields cannot be
+ * cleared, chains/categories must resolve in the taxonomy, tags and
+ * social_links must parse, and a new website or name must not belong to
+ * another listing. `link` follows `website`; updated_at is set on change.
+ *
+ * Request body:
+ *   name, description, full_description, logo, website, chains, categories,
+ *   social_links, tags - as for POST /api/dapps, all optional
+ *   actor (string, optional) - who is editing; defaults to the API client
+ *
+ * Deployments are edited with PUT /api/dapps/:dapp_id/deployments.
+ *
+ * Response:
+ *   200: { success, data: { dapp_id, slug, name, ..., updated_at },
+ *          revision: { revision_id, actor, client_id, changes, created_at, ... } }
+ *        `revision` is null when no value differed from the stored one.
+ *   400: invalid dapp_id, unknown or no fields, invalid values (same bodies
+ *        as POST /api/dapps)
+ *   404: dApp not found
+ *   409: another dApp has this website or name
+ */
+router.patch('/api/dapps/:dapp_id', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter(key => key !== 'actor' && !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown fields',
+        invalid: unknown,
+        allowed: EDITABLE_FIELDS
+      });
+    }
+    if (!EDITABLE_FIELDS.some(field => body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update',
+        allowed: EDITABLE_FIELDS
+      });
+    }
+
+    const meta = resolveActor(req);
+    if (meta.error) {
+      return res.status(400).json(meta.error);
+    }
+
+    const fields = normalizeDappFields(await loadTaxonomy(), body, { partial: true });
+    if (fields.error) {
+      return res.status(400).json(fields.error);
+    }
+
+    const outcome = await runDappEdit(dapp_id, meta, async () => ({ values: fields.values }));
+
+    if (outcome.body.revision) {
+      await invalidateDapp(dapp_id);
+    }
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error('Error editing dApp:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit dApp',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * Sends the outcome of a status change, invalidating the cached listings and
+ * detail when something changed.
+ *
+ * @param {Object} res
+ * @param {number|string} dappId
+ * @param {Object} meta - From resolveActor()
+ * @param {{ listing_status: string, status_reason: string|null }} values
+ */
+async function sendStatusChange(res, dappId, meta, values) {
+  const outcome = await runDappEdit(dappId, meta, async () => ({ values }));
+
+  if (outcome.body.revision) {
+    await invalidateDapp(dappId);
+  }
+
+  res.status(outcome.status).json(outcome.body);
+}
+
+/**
+ * PUT /api/dapps/:dapp_id/status
+ *
+ * Sets the listing status of a dApp (utils/dapp-status.js). Only active
+ * dApps appear in search, boost top, suggestions, similar and trending
+ * lists, taxonomy counts, favorites details and batch responses; delisted
+ * ones answer 410 Gone with the reason on their detail route.
+ *
+ * Request body:
+ *   status (string) - active | hidden | delisted | archived
+ *   reason (string) - Why; required for 'delisted', dropped for 'active'
+ *   actor  (string, optional) - who is changing it; defaults to the API client
+ *
+ * Response:
+ *   200: same as PATCH /api/dapps/:dapp_id, with listing_status,
+ *        status_reason and status_changed_at in `data`
+ *   400: invalid dapp_id, status or reason
+ *   404: dApp not found
+ */
+router.put('/api/dapps/:dapp_id/status', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const meta = resolveActor(req);
+    if (meta.error) {
+      return res.status(400).json(meta.error);
+    }
+
+    const body = req.body || {};
+    const change = resolveStatusChange(body.status, body.reason);
+    if (change.error) {
+      return res.status(400).json(change.error);
+    }
+
+    await sendStatusChange(res, dapp_id, meta, change.values);
+  } catch (err) {
+    console.error('Error changing dApp status:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change dApp status',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/dapps/:dapp_id
+ *
+ * Soft delete: archives the dApp instead of removing its row, so its boosts,
+ * reviews and favorites entries stay intact. Same as PUT
+ * /api/dapps/:dapp_id/status with status 'archived'; undone by setting the
+ * status back to 'active' or reverting the revision.
+ *
+ * Request body (optional):
+ *   reason (string) - Why it is archived
+ *   actor  (string) - who is archiving it; defaults to the API client
+ *
+ * Response: same as PUT /api/dapps/:dapp_id/status.
+ */
+router.delete('/api/dapps/:dapp_id', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const meta = resolveActor(req);
+    if (meta.error) {
+      return res.status(400).json(meta.error);
+    }
+
+    const change = resolveStatusChange('archived', (req.body || {}).reason);
+    if (change.error) {
+      return res.status(400).json(change.error);
+    }
+
+    await sendStatusChange(res, dapp_id, meta, change.values);
+  } catch (err) {
+    console.error('Error archiving dApp:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive dApp',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/moderation/dapps
+ *
+ * Lists dApps by listing status for moderators. The public listings
+ * (/dapp-search, /api/boost/top, /api/trending) only return active dApps;
+ * this is where hidden, delisted and archived ones are found again. Not
+ * cached.
+ *
+ * Query parameters:
+ *   status  string|string[]  Statuses to list (utils/dapp-status.js).
+ *                            Default: every status but active.
+ *   page    number           1-indexed page. Default: 1.
+ *   limit   number           dApps per page. Default: 20, max: 100.
+ *
+ * Response:
+ *   200: { success, data: [{ dapp_id, slug, name, listing_status,
+ *          status_reason, status_changed_at }],
+ *          pagination: { page, limit, total, totalPages } }
+ *        Most recently changed first.
+ *   400: unknown status, with the `allowed` values
+ */
+router.get('/api/moderation/dapps', authenticateToken, async function (req, res, next) {
+  try {
+    const requested = parseListParam(req.query.status);
+    const unknown = requested.filter(status => !LISTING_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        invalid: { status: unknown },
+        allowed: LISTING_STATUSES
+      });
+    }
+    const statuses = requested.length > 0
+      ? Array.from(new Set(requested))
+      : LISTING_STATUSES.filter(status => status !== ACTIVE_STATUS);
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_MODERATION_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_MODERATION_LIMIT));
+
+    const [result, count] = await Promise.all([
+      db.query(
+        `SELECT dapp_id, slug, name, listing_status, status_reason, status_changed_at
+         FROM public.dapps_main
+         WHERE listing_status = ANY($1::text[])
+         ORDER BY status_changed_at DESC NULLS LAST, dapp_id
+         LIMIT $2 OFFSET $3`,
+        [statuses, limit, (page - 1) * limit]
+      ),
+      db.query(
+        'SELECT COUNT(*)::int AS total FROM public.dapps_main WHERE listing_status = ANY($1::text[])',
+        [statuses]
+      )
+    ]);
+
+    const total = count.rows[0].total;
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error listing dApps by status:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dApps by status',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/dapps/:dapp_id/history
+ *
+ * Query parameters:
+ *   page   number  1-indexed page. Default: 1.
+ *   limit  number  Revisions per page. Default: 20, max: 100.
+ *
+ * Response:
+ *   200: { success, data: [{ revision_id, dapp_id, actor, client_id,
+ *          changes: { [column]: { before, after } }, reverted_to, created_at }],
+ *          pagination: { page, limit, total, totalPages } }
+ *   400: invalid dapp_id
+ *   404: dApp not found
+ */
+router.get('/api/dapps/:dapp_id/history', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_HISTORY_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT));
+
+    const dapp = await db.query('SELECT dapp_id FROM public.dapps_main WHERE dapp_id = $1', [dapp_id]);
+    if (dapp.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    const { revisions, total } = await loadRevisions(dapp_id, { limit, offset: (page - 1) * limit });
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching dApp history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dApp history',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/dapps/:dapp_id/revisions/:revision_id/revert
+ *
+ * Restores the listing to its state right after the given revision: every
+ * column changed by a later revision gets back the value it had then. The
+ * revert is itself recorded as a revision (with `reverted_to`), so it can be
+ * reverted too. Restored values are not re-validated against the taxonomy,
+ * but a restored website or name must still not belong to another listing.
+ *
+ * Request body:
+ *   actor (string, optional) - who is reverting; defaults to the API client
+ *
+ * Response:
+ *   200: same as PATCH /api/dapps/:dapp_id (`revision` null when the
+ *        listing already matches)
+ *   400: invalid dapp_id or revision_id
+ *   404: dApp or revision not found
+ *   409: another dApp now has the restored website or name
+ */
+router.post('/api/dapps/:dapp_id/revisions/:revision_id/revert', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id, revision_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id) || !revision_id || isNaN(revision_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id or revision_id parameter'
+      });
+    }
+
+    const meta = resolveActor(req);
+    if (meta.error) {
+      return res.status(400).json(meta.error);
+    }
+
+    const outcome = await runDappEdit(dapp_id, { ...meta, revertedTo: Number(revision_id) }, async (client) => {
+      const values = await valuesAtRevision(client, dapp_id, revision_id);
+      if (!values) {
+        return { status: 404, body: { success: false, error: 'Revision not found' } };
+      }
+      return { values };
+    });
+
+    if (outcome.body.revision) {
+      await invalidateDapp(dapp_id);
+    }
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error('Error reverting dApp:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert dApp',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
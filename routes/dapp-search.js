@@ -3,7 +3,8 @@
  *
  * Provides the main dApp discovery endpoint used by the frontend search UI.
  * Supports multi-value filtering by category and chain, optional rating
- * threshold, partial name search, and paginated results.
+ * threshold, partial name search, ranked full-text search, and paginated
+ * results.
  *
  * Endpoints:
  *   GET /dapp-search  - Search and filter dApps
@@ -15,34 +16,213 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const { buildDappFilters, metricsBlockSQL, toWhereSQL } = require('../utils/dapp-filters');
+const { computeFacets } = require('../utils/dapp-facets');
+const { resolveSort } = require('../utils/dapp-sort');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { activeDappSQL } = require('../utils/dapp-status');
+const { describeFilters, recordSearchEvent } = require('../utils/search-analytics');
+const responseCache = require('../utils/response-cache');
+const { CACHE_HEADER, CACHE_NAMESPACES } = responseCache;
+const {
+    encodeCursor,
+    decodeCursor,
+    cursorValuesMatch,
+    keysetClause,
+    keysetOrderBy,
+    cursorValuesSQL,
+    wantsTotalCount
+} = require('../utils/dapp-cursor');
 
 /**
- * Builds a SQL OR clause for a TEXT column that stores comma-separated values.
- *
- * dapps_main stores chains and categories as comma-separated TEXT
- * (e.g. "Ethereum,Polygon" or "DeFi,Exchanges"), so ILIKE with wildcards
- * is used to match within the string. This also handles case differences
- * (e.g. frontend sends 'exchange' but DB stores 'Exchanges') and
- * singular/plural mismatches.
- *
- * SQL INJECTION NOTE: Values are interpolated directly into the SQL string
- * rather than passed as parameterised placeholders. This is acceptable here
- * because filter values (category names, chain names) come from a known,
- * controlled set defined by the frontend dropdowns — they are not free-text
- * user input. If this endpoint is ever exposed to arbitrary user strings,
- * parameterised queries or a whitelist check must replace this approach.
- *
- * @param {string} field  - Qualified column name, e.g. "dm.categories"
- * @param {string[]} values - Array of filter values
- * @returns {string} SQL fragment like "(dm.categories ILIKE '%exchange%' OR dm.categories ILIKE '%gaming%')"
- *                   or '' if values is empty
+ * ts_headline options for search hits: highlight matches with <mark> and
+ * return up to two short fragments from long descriptions.
  */
-function buildOrClause(field, values) {
-    if (!values || values.length === 0) return '';
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10';
 
-    if (!Array.isArray(values)) values = [values];
+/** Maximum number of "did you mean" names returned with an empty search. */
+const SUGGESTION_LIMIT = 5;
 
-    return values.map(val => `${field} ILIKE '%${val}%'`).join(' OR ');
+/**
+ * Runs the paginated listing query and (optionally) its COUNT for a set of filters.
+ *
+ * @param {Object} filters  - Result of buildDappFilters()
+ * @param {Object} sort     - Result of resolveSort()
+ * @param {Object} page
+ * @param {number} page.limit
+ * @param {number} page.offset       - Ignored when a cursor is given
+ * @param {Object|null} page.cursor  - Decoded cursor (keyset mode) or null
+ * @param {boolean} page.count       - Whether to run the COUNT query
+ * @param {boolean} page.metrics     - Whether to attach each row's metrics block
+ * @returns {Promise<{ rows: Object[], total: number|null, nextCursor: string|null }>}
+ */
+async function runSearch(filters, sort, page) {
+    const textQuery = filters.textQuery;
+    let keys = sort.keys;
+
+    // Ranking and highlighting reuse the tsquery placeholder bound by the
+    // filter engine. ts_headline only runs on the rows of the current page.
+    let extraColumns = textQuery ? `,
+                ts_rank_cd(dm.search_vector, ${textQuery})::float AS relevance,
+                ts_headline('english', dm.name, ${textQuery}, '${HEADLINE_OPTIONS}') AS name_highlight,
+                ts_headline('english', COALESCE(NULLIF(dm.full_description, ''), dm.description, ''), ${textQuery}, '${HEADLINE_OPTIONS}') AS snippet` : '';
+
+    // Fuzzy mode: surface the trigram score and rank by it first.
+    if (filters.nameSimilarity) {
+        extraColumns += `,
+                ${filters.nameSimilarity}::float AS similarity`;
+        keys = [{ expression: filters.nameSimilarity, direction: 'desc', type: 'number' }].concat(keys);
+    }
+
+    // Sort-specific columns (featured score breakdown, sponsored label).
+    sort.columns.forEach(column => {
+        extraColumns += `,
+                ${column}`;
+    });
+
+    if (page.metrics) {
+        extraColumns += `,
+                ${metricsBlockSQL()}`;
+    }
+
+    // The COUNT covers the whole filtered set, so it is built before the
+    // cursor condition is added.
+    const whereSQL = toWhereSQL(filters.clauses);
+    const whereParams = filters.params.slice();
+
+    // Filter values are all placeholder-bound; cursor values, limit and offset
+    // are bound afterwards so their $N indices always follow the filter params.
+    const pageClauses = filters.clauses.slice();
+    if (page.cursor) {
+        pageClauses.push(keysetClause(keys, page.cursor.values, page.cursor.dappId, filters.bind));
+    }
+    // One extra row tells us whether another page exists.
+    const limitParam = filters.bind(page.limit + 1);
+    const offsetParam = filters.bind(page.cursor ? 0 : page.offset);
+    const queryParams = filters.params;
+
+    // LEFT JOIN keeps dApps with no reviews_make row (NULL ratings) in the result set.
+    // Sort keys on other tables (boosts, metrics) bring their own LEFT JOIN.
+    const query = `
+            SELECT
+                dm.dapp_id,
+                dm.slug,
+                dm.name,
+                dm.chains,
+                dm.categories,
+                dm.logo,
+                dm.link,
+                rm.ratings::float AS ratings${extraColumns},
+                ${cursorValuesSQL(keys)}
+            FROM
+                dapps_main dm
+            LEFT JOIN
+                reviews_make rm ON dm.dapp_id = rm.dapp_id
+            ${sort.joins.join('\n            ')}
+            ${toWhereSQL(pageClauses)}
+            ORDER BY
+                ${keysetOrderBy(keys)}
+            LIMIT ${limitParam} OFFSET ${offsetParam}
+        `;
+
+    // Count query for pagination — reuses same whereSQL and whereParams.
+    const countQuery = `
+            SELECT COUNT(*) AS total
+            FROM dapps_main dm
+            LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id
+            ${whereSQL}
+        `;
+
+    const [result, countResult] = await Promise.all([
+        db.query(query, queryParams),
+        page.count ? db.query(countQuery, whereParams) : null
+    ]);
+
+    const rows = result.rows.slice(0, page.limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > page.limit
+        ? encodeCursor({ key: sort.key, direction: sort.direction, fuzzy: Boolean(filters.nameSimilarity) }, last.cursor_values, last.dapp_id)
+        : null;
+    rows.forEach(row => { delete row.cursor_values; });
+
+    return {
+        rows,
+        total: countResult ? parseInt(countResult.rows[0].total, 10) : null,
+        nextCursor
+    };
+}
+
+/**
+ * Returns the names of active dApps closest to a search term by trigram
+ * similarity, ignoring all other filters, for "did you mean" prompts.
+ *
+ * @param {string} term
+ * @returns {Promise<Array<{ dapp_id: number, name: string, similarity: number }>>}
+ */
+async function fetchNameSuggestions(term) {
+    const result = await db.query(
+        `SELECT dapp_id, name, similarity(name, $1)::float AS similarity
+         FROM dapps_main
+         WHERE name % $1 AND ${activeDappSQL()}
+         ORDER BY similarity DESC, dapp_id
+         LIMIT $2`,
+        [term, SUGGESTION_LIMIT]
+    );
+    return result.rows;
+}
+
+/**
+ * Builds the /dapp-search response body for a validated request: the page of
+ * results, with the fuzzy name fallback and suggestions when a typed search
+ * has no exact hits, and facets when requested.
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} context
+ * @param {Object} context.taxonomy     - Result of loadTaxonomy()
+ * @param {Object} context.sort         - Result of resolveSort()
+ * @param {Object|null} context.cursor  - Decoded cursor or null
+ * @param {Object} context.pageOptions  - Page options for runSearch()
+ * @param {string|false} context.term   - Trimmed name or q, if any
+ * @returns {Promise<Object>}
+ */
+async function buildSearchResponse(query, { taxonomy, sort, cursor, pageOptions, term }) {
+    // A cursor issued by a fuzzy page continues the fuzzy result set.
+    const fuzzy = Boolean(cursor && cursor.fuzzy);
+    let result = await runSearch(buildDappFilters(query, { fuzzyName: fuzzy, taxonomy }), sort, pageOptions);
+    const response = { data: result.rows, total: result.total, next_cursor: result.nextCursor, fuzzy };
+    if (sort.weights) {
+        response.weights = sort.weights;
+    }
+
+    // No exact hits for a typed search: retry the name match by trigram
+    // similarity and offer the closest names as suggestions. Without a
+    // COUNT, an empty first page is the only reliable "no hits" signal.
+    const noExactHits = result.total !== null
+        ? result.total === 0
+        : result.rows.length === 0 && pageOptions.offset === 0;
+    if (term && !cursor && noExactHits) {
+        if (query.name) {
+            const fuzzyFilters = buildDappFilters(query, { fuzzyName: true, taxonomy });
+            result = await runSearch(fuzzyFilters, sort, pageOptions);
+            Object.assign(response, {
+                data: result.rows,
+                total: result.total,
+                next_cursor: result.nextCursor,
+                fuzzy: true
+            });
+        }
+        response.suggestions = await fetchNameSuggestions(term);
+    }
+
+    // Facets follow whichever name matching produced the rows above.
+    if (query.facets === 'true') {
+        response.facets = await computeFacets(query, {
+            from: 'dapps_main dm LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id',
+            filterOptions: { fuzzyName: response.fuzzy, taxonomy }
+        });
+    }
+
+    return response;
 }
 
 /**
@@ -51,14 +231,49 @@ function buildOrClause(field, values) {
  * Main search and discovery endpoint for the dApp listing UI.
  *
  * Query parameters:
- *   category  string|string[]  Filter by one or more category names (OR logic).
+ *   category  string|string[]  Filter by one or more category names.
  *                              Accepts a comma-separated string or repeated keys.
- *   chain     string|string[]  Filter by one or more chain names (OR logic).
- *   ratings   number           Minimum average rating threshold (inclusive).
+ *                              Values are names, slugs or aliases from the
+ *                              category taxonomy (see utils/taxonomy.js).
+ *   category_mode  'any'|'all' OR (default) or AND across the category values.
+ *   exclude_category  string|string[]  Drop dApps in any of these categories.
+ *   chain     string|string[]  Filter by one or more chain names, slugs or
+ *                              aliases from the chain taxonomy. A parent
+ *                              (e.g. 'Ethereum L2') also matches its children.
+ *   chain_mode     'any'|'all' OR (default) or AND across the chain values.
+ *   exclude_chain  string|string[]  Drop dApps on any of these chains.
+ *                              Chain/category values match whole list entries;
+ *                              a trailing '*' makes a value a prefix match.
+ *   ratings   number           Minimum average rating threshold (0-5, inclusive).
  *                              Only applied when explicitly provided — see note below.
  *   name      string           Case-insensitive partial name search (ILIKE).
+ *   q         string           Full-text search over name, categories, tags,
+ *                              description and full_description. Accepts
+ *                              web-search syntax ("exact phrase", or, -exclude).
+ *   min_uaw, max_uaw, min_volume, min_transactions, min_balance
+ *             number           Inclusive bounds on aggregated_metrics values.
+ *                              dApps with a missing or unparseable metric are
+ *                              excluded while its filter is active.
+ *   metrics   'true'           Attach `metrics: { balance, transactions, uaw,
+ *                              volume }` (parsed numbers) to every row.
+ *   sort      string           rating | name | newest | updated | boost | uaw |
+ *                              volume | transactions | featured |
+ *                              relevance (requires q).
+ *                              Defaults to 'relevance' when q is given,
+ *                              otherwise 'rating'. See utils/dapp-sort.js.
+ *   order     string           'asc' or 'desc'. Defaults per sort key (name
+ *                              ascending, everything else descending).
+ *   facets    'true'           Also return counts per chain, category and
+ *                              rating bucket (see utils/dapp-facets.js).
  *   limit     number           Results per page. Default: 20.
- *   page      number           1-based page number. Default: 1.
+ *   page      number           1-based page number. Default: 1. Ignored
+ *                              when `cursor` is given.
+ *   cursor    string           Opaque `next_cursor` from a previous response;
+ *                              switches to keyset pagination (see below).
+ *   count     'false'          Skip the COUNT query; `total` is then null.
+ *   healthy   'true'|'false'   'true' leaves out dApps whose website is flagged
+ *                              as down; 'false' returns only those (see
+ *                              utils/website-health.js).
  *
  * JOIN strategy:
  *   LEFT JOIN reviews_make so dApps with no rating rows are still returned.
@@ -72,104 +287,142 @@ function buildOrClause(field, values) {
  *   yet) would never appear in search results — the LEFT JOIN would produce
  *   NULL for rm.ratings, and NULL >= 1 is FALSE in SQL.
  *
+ * Full-text search:
+ *   `q` matches against dm.search_vector (weighted tsvector, see
+ *   migrations/001_dapps_main_search_vector.sql). Each hit carries a
+ *   `relevance` score (ts_rank_cd) plus `name_highlight` and `snippet`
+ *   fields with matched terms wrapped in <mark></mark>.
+ *
+ * Fuzzy fallback:
+ *   When `name` is given and the ILIKE search finds nothing, the search is
+ *   re-run with trigram matching (pg_trgm, see migrations/002) on the same
+ *   filters and pagination, ordered by name similarity. Such responses set
+ *   `fuzzy: true` and each row carries a `similarity` score. Whenever a
+ *   name/q search finds no exact hits, `suggestions` lists the closest dApp
+ *   names for a "did you mean" prompt.
+ *
+ * Pagination:
+ *   Offset mode (page/limit) is kept for backward compatibility. Every
+ *   response also carries `next_cursor` (null on the last page); passing it
+ *   back as `cursor` fetches the following page by keyset on the current sort
+ *   key (utils/dapp-cursor.js), which stays fast on deep pages and does not
+ *   shift when ratings or boosts change mid-scroll. Infinite-scroll clients
+ *   should combine it with count=false.
+ *
+ * Filters are built by the shared engine in utils/dapp-filters.js, which binds
+ * every value as a placeholder and is also used by /api/boost/top.
+ *
  * Response:
- *   { data: DApp[], total: number } — paginated rows plus total count for the UI.
+ *   { data: DApp[], total: number|null, next_cursor: string|null, fuzzy: boolean,
+ *     weights?: { rating, boost, activity }, suggestions?: Suggestion[],
+ *     facets?: { chains, categories, ratings } }
+ *   — paginated rows plus total count for the UI.
+ *   400 { success: false, error, invalid: { chain?, category?, min_uaw?, ... } }
+ *       when a filter value is unknown or malformed, or
+ *   400 { success: false, error } for an unsupported sort or order, or a
+ *       malformed cursor / one issued for a different sort.
+ *
+ * Featured ranking and sponsored results:
+ *   sort=featured blends rating, boost points and on-chain activity with the
+ *   weights from config.search.featuredWeights (echoed as `weights`). Each row
+ *   carries `featured_score` and `score_breakdown`. Under sort=featured and
+ *   sort=boost, paid boost points affect placement, so every row also carries
+ *   `sponsored` (true when the dApp has boost points).
+ *
+ * Caching:
+ *   Responses are cached by normalised query parameters (utils/response-cache.js)
+ *   and invalidated when dApps are added or approved or boosts change. The
+ *   X-Cache header reports HIT, MISS or BYPASS (cache disabled).
+ *
+ * Analytics:
+ *   Every successful search is recorded in search_events (query text,
+ *   filters, result count, JWT client id, latency) by a background writer
+ *   that never delays the response; see routes/search-analytics.js for the
+ *   reports.
+ *
+ * Ordering:
+ *   NULLs (unrated dApps, missing metrics) always sort last and dm.dapp_id is
+ *   appended as a tiebreaker so equally ranked dApps keep a stable order.
  */
 router.get('/dapp-search', authenticateToken, async function (req, res, next) {
+    const startedAt = process.hrtime.bigint();
     try {
-        let { category, chain, ratings, name, limit = 20, page = 1 } = req.query;
+        let { limit = 20, page = 1 } = req.query;
         limit = parseInt(limit);
         page = parseInt(page);
         const offset = (page - 1) * limit;
 
-        // WHERE clauses are accumulated here and joined with AND.
-        // whereParams holds parameterised values; limit/offset are appended after
-        // so their $N indices are always last.
-        let whereClauses = [];
-        let whereParams = [];
-        let paramIndex = 1;
-
-        // Category filter: accept both repeated query keys (?category=DeFi&category=Gaming)
-        // and a single comma-separated string (?category=DeFi,Gaming).
-        if (category) {
-            const categories = Array.isArray(category) ? category : (typeof category === 'string' ? category.split(',') : [category]);
-            const clause = buildOrClause('dm.categories', categories);
-            if (clause) whereClauses.push(`(${clause})`);
+        const taxonomy = await loadTaxonomy();
+        const filters = buildDappFilters(req.query, { taxonomy });
+        if (filters.error) {
+            return res.status(400).json(filters.error);
         }
 
-        // Chain filter: same multi-value handling as category above.
-        if (chain) {
-            const chainsArr = Array.isArray(chain) ? chain : (typeof chain === 'string' ? chain.split(',') : [chain]);
-            const clause = buildOrClause('dm.chains', chainsArr);
-            if (clause) whereClauses.push(`(${clause})`);
+        const sort = resolveSort(req.query, { textQuery: filters.textQuery });
+        if (sort.error) {
+            return res.status(400).json(sort.error);
         }
 
-        // Rating filter: only applied when explicitly requested.
-        // Omitting this when ratings is absent ensures newly approved dApps
-        // (which have NULL ratings via the LEFT JOIN) are still visible by default.
-        // The value is interpolated directly (not parameterised) because it is a
-        // numeric literal produced by parseFloat — not raw user string input.
-        if (ratings) {
-            whereClauses.push(`rm.ratings >= ${parseFloat(ratings)}`);
+        // Keyset mode: the cursor must come from a response with the same sort.
+        let cursor = null;
+        if (req.query.cursor !== undefined) {
+            cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ success: false, error: 'Invalid cursor' });
+            }
+            const expectedValues = sort.keys.length + (cursor.fuzzy ? 1 : 0);
+            if (cursor.key !== sort.key || cursor.direction !== sort.direction
+                || cursor.values.length !== expectedValues || (cursor.fuzzy && !req.query.name)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cursor does not match the current sort. Restart from the first page.'
+                });
+            }
+            // A fuzzy cursor leads with the trigram similarity of its row.
+            const cursorKeys = (cursor.fuzzy ? [{ type: 'number' }] : []).concat(sort.keys);
+            if (!cursorValuesMatch(cursorKeys, cursor.values)) {
+                return res.status(400).json({ success: false, error: 'Invalid cursor' });
+            }
         }
 
-        // Name search: uses a parameterised placeholder to safely handle
-        // arbitrary user-supplied text with ILIKE for case-insensitive matching.
-        if (name) {
-            whereClauses.push(`dm.name ILIKE $${paramIndex}`);
-            whereParams.push(`%${name}%`);
-            paramIndex++;
-        }
-
-        let whereSQL = '';
-        console.log(whereClauses, "whereclo")
-        if (whereClauses.length > 0) {
-            whereSQL = 'WHERE ' + whereClauses.join(' AND ');
-        }
-
-        // WHERE params come first; limit and offset are appended so their $N
-        // indices are always at the end of the params array.
-        const limitParam = `$${paramIndex}`;
-        const offsetParam = `$${paramIndex + 1}`;
-        const queryParams = [...whereParams, limit, offset];
-
-        // LEFT JOIN keeps dApps with no reviews_make row (NULL ratings) in the result set.
-        // ORDER BY rm.ratings DESC naturally floats NULLs to the bottom in PostgreSQL.
-        const query = `
-            SELECT
-                dm.dapp_id,
-                dm.name,
-                dm.chains,
-                dm.categories,
-                dm.logo,
-                dm.link,
-                rm.ratings::float AS ratings
-            FROM
-                dapps_main dm
-            LEFT JOIN
-                reviews_make rm ON dm.dapp_id = rm.dapp_id
-            ${whereSQL}
-            ORDER BY
-                rm.ratings DESC
-            LIMIT ${limitParam} OFFSET ${offsetParam}
-        `;
-
-        console.log(query, queryParams, "query")
+        const pageOptions = {
+            limit,
+            offset,
+            cursor,
+            count: wantsTotalCount(req.query),
+            metrics: req.query.metrics === 'true'
+        };
 
-        const result = await db.query(query, queryParams);
+        // The typed search term drives the fuzzy fallback and analytics.
+        const term = (typeof req.query.name === 'string' && req.query.name.trim())
+            || (typeof req.query.q === 'string' && req.query.q.trim());
 
-        // Count query for pagination — reuses same whereSQL and whereParams.
-        const countQuery = `
-            SELECT COUNT(*) AS total
-            FROM dapps_main dm
-            LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id
-            ${whereSQL}
-        `;
+        // Only valid requests reach the cache, so errors are never cached.
+        const cached = await responseCache.lookup(CACHE_NAMESPACES.SEARCH, req.query);
+        let response = cached.value;
+        if (!cached.hit) {
+            response = await buildSearchResponse(req.query, { taxonomy, sort, cursor, pageOptions, term });
+            cached.save(response);
+        }
 
-        const countResult = await db.query(countQuery, whereParams);
-        const total = parseInt(countResult.rows[0].total, 10);
+        res.set(CACHE_HEADER, cached.status);
+        res.json(response);
 
-        res.json({ data: result.rows, total });
+        // Analytics are queued after the response is sent and written in the
+        // background (utils/search-analytics.js). Cache hits count as searches too.
+        const firstPage = !cursor && offset === 0;
+        recordSearchEvent({
+            query_text: term || null,
+            filters: describeFilters(req.query, taxonomy),
+            sort: sort.key,
+            result_count: response.total !== null
+                ? response.total
+                : (firstPage && !response.next_cursor ? response.data.length : null),
+            fuzzy: response.fuzzy,
+            first_page: firstPage,
+            client_id: req.user ? req.user.clientId || null : null,
+            latency_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+        });
 
     } catch (e) {
         next(e);
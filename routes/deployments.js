@@ -0,0 +1,247 @@
+/**
+ * routes/deployments.js
+ *
+ * Per-chain deployments and contract address lookup
+ * (utils/deployments.js, migrations/007_dapp_deployments.sql).
+ *
+ * Endpoints:
+ *   PUT /api/dapps/:dapp_id/deployments               - Replace a dApp's deployments
+ *   PUT /api/dapps/:dapp_id/deployments/:chain/owner  - Set a deployment's owner wallet (moderation)
+ *   GET /api/contracts/:address                       - Resolve a contract address to its dApp and chain
+ *
+ * A dApp's deployments are also returned by GET /api/dapps/:dapp_id.
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { loadTaxonomy, resolveTerm } = require('../utils/taxonomy');
+const { invalidateDapp } = require('../utils/response-cache');
+const { resolveActor } = require('../utils/dapp-revisions');
+const {
+  normalizeContractAddress,
+  normalizeWalletAddress,
+  resolveDeployments,
+  replaceDeployments,
+  setDeploymentOwner,
+  loadDeployments
+} = require('../utils/deployments');
+
+/**
+ * PUT /api/dapps/:dapp_id/deployments
+ *
+ * Replaces all deployments of a dApp; an empty array removes them. Chains
+ * that stay listed keep their owner wallet.
+ *
+ * Request body:
+ *   deployments (object[], required) - [{ chain, contract_addresses?,
+ *     explorer_urls?, deployed_at? }]. `chain` is a taxonomy name, slug or
+ *     alias and may appear once; `deployed_at` is a YYYY-MM-DD date.
+ *
+ * Response:
+ *   200: { success, data: [{ chain, chain_slug, chain_id, contract_addresses,
+ *          explorer_urls, deployed_at, owner_address }] }
+ *   400: invalid dapp_id, or { error: 'Invalid deployments', invalid: { [index]: [problems] } }
+ *   404: dApp not found
+ */
+router.put('/api/dapps/:dapp_id/deployments', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const resolved = resolveDeployments(await loadTaxonomy(), req.body.deployments);
+    if (resolved.error) {
+      return res.status(400).json(resolved.error);
+    }
+
+    const dapp = await db.query('SELECT dapp_id FROM public.dapps_main WHERE dapp_id = $1', [dapp_id]);
+    if (dapp.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await replaceDeployments(client, dapp_id, resolved.deployments);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await invalidateDapp(dapp_id);
+
+    res.json({ success: true, data: await loadDeployments(dapp_id) });
+  } catch (err) {
+    console.error('Error saving deployments:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save deployments',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PUT /api/dapps/:dapp_id/deployments/:chain/owner
+ *
+ * Sets the owner wallet of a dApp's deployment on one chain: the EOA that
+ * deployed or administers its contracts. Wallet ownership claims
+ * (routes/dapp-claims.js) are only verified by a signature of this wallet.
+ * Moderators set it after checking the deployer on the block explorer.
+ *
+ * Request body:
+ *   owner_address (string|null) - 0x wallet address; null clears it
+ *   actor         (string, optional) - who is setting it; defaults to the API client
+ *
+ * Response:
+ *   200: same as PUT /api/dapps/:dapp_id/deployments
+ *   400: invalid dapp_id, unknown chain, malformed owner_address, or an
+ *        owner_address that is one of the deployment's contracts
+ *   404: dApp not found, or no deployment on the chain
+ */
+router.put('/api/dapps/:dapp_id/deployments/:chain/owner', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const chain = resolveTerm((await loadTaxonomy()).chains, req.params.chain);
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown chain',
+        invalid: { chain: req.params.chain }
+      });
+    }
+
+    const meta = resolveActor(req);
+    if (meta.error) {
+      return res.status(400).json(meta.error);
+    }
+
+    const body = req.body || {};
+    const ownerAddress = body.owner_address === null ? null : normalizeWalletAddress(body.owner_address);
+    if (body.owner_address !== null && !ownerAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'owner_address must be an EVM (0x) wallet address or null'
+      });
+    }
+
+    const outcome = await setDeploymentOwner(dapp_id, chain.id, ownerAddress, meta.actor);
+    if (outcome.error) {
+      return res.status(400).json(outcome.error);
+    }
+    if (!outcome.found) {
+      return res.status(404).json({
+        success: false,
+        error: `No deployment on ${chain.name} for this dApp`
+      });
+    }
+
+    await invalidateDapp(dapp_id);
+
+    res.json({ success: true, data: await loadDeployments(dapp_id) });
+  } catch (err) {
+    console.error('Error setting deployment owner:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set deployment owner',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:address
+ *
+ * Resolves a contract address to the dApp(s) and chain(s) it is deployed on.
+ * Hex addresses match regardless of checksum casing. The same address can
+ * exist on several chains (e.g. CREATE2 deployments), so all matches are
+ * returned, ordered by chain name.
+ *
+ * Query parameters:
+ *   chain  string  Only match deployments on this chain (name, slug or alias)
+ *
+ * Response:
+ *   200: { success, data: { address, matches: [{ dapp_id, name, logo,
+ *          website, chain, chain_slug, chain_id, explorer_urls, deployed_at }] } }
+ *   400: malformed address or unknown chain
+ *   404: no deployment uses the address
+ */
+router.get('/api/contracts/:address', authenticateToken, async function (req, res, next) {
+  try {
+    const address = normalizeContractAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract address'
+      });
+    }
+
+    const params = [[address]];
+    let chainClause = '';
+    if (req.query.chain) {
+      const chain = resolveTerm((await loadTaxonomy()).chains, String(req.query.chain));
+      if (!chain) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unknown chain',
+          invalid: { chain: req.query.chain }
+        });
+      }
+      params.push(chain.id);
+      chainClause = 'AND d.chain_id = $2';
+    }
+
+    const result = await db.query(
+      `SELECT dm.dapp_id, dm.name, dm.logo, dm.website,
+              c.name AS chain, c.slug AS chain_slug, d.chain_id,
+              d.explorer_urls, d.deployed_at::text AS deployed_at
+       FROM public.dapp_deployments d
+       JOIN public.dapps_main dm ON dm.dapp_id = d.dapp_id
+       JOIN public.chains c ON c.chain_id = d.chain_id
+       WHERE d.contract_addresses @> $1::text[] ${chainClause}
+       ORDER BY c.name, dm.dapp_id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No dApp found for this contract address'
+      });
+    }
+
+    res.json({ success: true, data: { address, matches: result.rows } });
+  } catch (err) {
+    console.error('Error resolving contract address:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve contract address',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
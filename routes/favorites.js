@@ -1,37 +1,8 @@
 var express = require('express');
 var router = express.Router();
 const db = require('../db');
-
-/**
- * Validates if the provided string is a valid Polkadot/Substrate account address.
- * These addresses use Base58 encoding and are typically 47-48 characters long.
- * 
- * @param {string} accountId - The account address to validate
- * @returns {boolean} True if valid, false otherwise
- * 
- * @example
- * // Valid Polkadot address
- * isValidAccountId('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY') // true
- * 
- * // Invalid formats
- * isValidAccountId('0x1234...') // false (Ethereum format)
- * isValidAccountId('short') // false (too short)
- */
-function isValidAccountId(accountId) {
-  // Polkadot addresses are typically 47-48 characters long
-  if (!accountId || typeof accountId !== 'string') {
-    return false;
-  }
-  
-  // Basic length check
-  if (accountId.length < 47 || accountId.length > 48) {
-    return false;
-  }
-  
-  // Check for valid Base58 characters
-  const base58Regex = /^[123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]+$/;
-  return base58Regex.test(accountId);
-}
+const { isValidAccountId } = require('../utils/account');
+const { activeDappSQL } = require('../utils/dapp-status');
 
 /**
  * Checks if a value can be converted to a valid DApp ID.
@@ -261,7 +232,9 @@ router.post('/api/favorites', async function(req, res, next) {
  * 
  * Query Parameters:
  * - includeDetails: When set to 'true', joins with dapps_main and reviews_make
- *   tables to provide comprehensive DApp information including ratings
+ *   tables to provide comprehensive DApp information including ratings.
+ *   Only active dApps are expanded (utils/dapp-status.js); `favorites` still
+ *   lists every favorited ID.
  * 
  * Performance Notes:
  * - Without details: Single query, very fast
@@ -311,7 +284,7 @@ router.get('/api/favorites/:accountId', async function(req, res, next) {
           COALESCE(rm.ratings, 0) as ratings
         FROM dapps_main dm
         LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id
-        WHERE dm.dapp_id = ANY($1)
+        WHERE dm.dapp_id = ANY($1) AND ${activeDappSQL('dm')}
         ORDER BY dm.name ASC
       `;
       const dappDetails = await db.query(dappDetailsQuery, [favorites]);
@@ -0,0 +1,251 @@
+/**
+ * routes/metrics.js
+ *
+ * Metric history built from metric_snapshots (utils/metric-snapshots.js,
+ * migrations/006_metric_snapshots.sql).
+ *
+ * Endpoints:
+ *   GET /api/dapps/:dapp_id/metrics  - Time series of a dApp's metrics
+ *   GET /api/trending                - dApps ranked by uaw or volume growth
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { buildDappFilters, toWhereSQL } = require('../utils/dapp-filters');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { SNAPSHOT_METRICS } = require('../utils/metric-snapshots');
+
+/** Time series buckets: date_trunc() field, or 'raw' for every snapshot. */
+const SERIES_INTERVALS = ['raw', 'hour', 'day', 'week'];
+const DEFAULT_SERIES_INTERVAL = 'day';
+const DEFAULT_SERIES_DAYS = 30;
+const MAX_SERIES_DAYS = 366;
+
+/** Growth windows of /api/trending, as Postgres intervals. */
+const TRENDING_WINDOWS = { '24h': '24 hours', '7d': '7 days', '30d': '30 days' };
+const DEFAULT_TRENDING_WINDOW = '7d';
+
+/** Metrics /api/trending can rank by. */
+const TRENDING_METRICS = ['uaw', 'volume'];
+const DEFAULT_TRENDING_METRIC = 'uaw';
+
+const DEFAULT_TRENDING_LIMIT = 20;
+const MAX_TRENDING_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves the time series window and bucket size from the query string.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ from: Date, to: Date, interval: string, error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function parseSeriesParams(query) {
+  const interval = query.interval || DEFAULT_SERIES_INTERVAL;
+  if (!SERIES_INTERVALS.includes(interval)) {
+    return { error: { success: false, error: `Invalid interval. Must be one of: ${SERIES_INTERVALS.join(', ')}` } };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_SERIES_DAYS * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return { error: { success: false, error: 'Invalid window: from and to must be dates with from < to' } };
+  }
+  if (to.getTime() - from.getTime() > MAX_SERIES_DAYS * DAY_MS) {
+    return { error: { success: false, error: `Window too large: at most ${MAX_SERIES_DAYS} days` } };
+  }
+
+  return { from, to, interval, error: null };
+}
+
+/**
+ * GET /api/dapps/:dapp_id/metrics
+ *
+ * Query parameters:
+ *   from      string  ISO date/time window start. Default: 30 days before `to`.
+ *   to        string  ISO date/time window end (exclusive). Default: now.
+ *   interval  string  raw | hour | day | week. Default: day. Each bucket
+ *                     reports the last snapshot taken within it, since the
+ *                     metrics are running totals rather than increments.
+ *
+ * Response:
+ *   { success, data: { dapp_id, interval, from, to,
+ *     points: [{ t, balance, transactions, uaw, volume }] } }
+ *   `t` is the bucket start (the snapshot time for interval=raw); metric
+ *   values are numbers, or null where the source value was unparseable.
+ *
+ * Errors:
+ *   400 for a non-numeric dapp_id or an invalid window/interval,
+ *   404 when the dApp does not exist.
+ */
+router.get('/api/dapps/:dapp_id/metrics', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const params = parseSeriesParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const dapp = await db.query('SELECT dapp_id FROM dapps_main WHERE dapp_id = $1', [dapp_id]);
+    if (dapp.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    let result;
+    if (params.interval === 'raw') {
+      result = await db.query(
+        `SELECT captured_at AS t,
+                ${SNAPSHOT_METRICS.map(column => `${column}::float AS ${column}`).join(', ')}
+         FROM public.metric_snapshots
+         WHERE dapp_id = $1 AND captured_at >= $2 AND captured_at < $3
+         ORDER BY captured_at`,
+        [dapp_id, params.from, params.to]
+      );
+    } else {
+      result = await db.query(
+        `SELECT date_trunc($4, captured_at) AS t,
+                ${SNAPSHOT_METRICS.map(column => `(array_agg(${column} ORDER BY captured_at DESC))[1]::float AS ${column}`).join(', ')}
+         FROM public.metric_snapshots
+         WHERE dapp_id = $1 AND captured_at >= $2 AND captured_at < $3
+         GROUP BY 1
+         ORDER BY 1`,
+        [dapp_id, params.from, params.to, params.interval]
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        dapp_id: Number(dapp_id),
+        interval: params.interval,
+        from: params.from,
+        to: params.to,
+        points: result.rows
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching metric history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metric history',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/trending
+ *
+ * Ranks dApps by percentage growth of a metric over a window:
+ *   growth_pct = (current - baseline) / baseline * 100
+ * where `current` is the latest snapshot inside the window and `baseline` the
+ * latest snapshot at or before the window start (and no older than one more
+ * window, so a long gap in snapshots does not pass for growth). dApps without
+ * both snapshots, or with a zero baseline, are left out.
+ *
+ * Query parameters:
+ *   metric  string  uaw | volume. Default: uaw.
+ *   window  string  24h | 7d | 30d. Default: 7d.
+ *   limit   number  Results to return. Default: 20, max: 100.
+ *   plus the /dapp-search filters (chain, category, their _mode and exclude_
+ *   variants, ratings, name, q, metric ranges) via utils/dapp-filters.js.
+ *
+ * Response:
+ *   { success, metric, window, data: [{ dapp_id, name, logo, link, chains,
+ *     categories, ratings, current_value, current_at, baseline_value,
+ *     baseline_at, growth_pct }] }
+ *   400 for an unknown metric/window or invalid filter values (same shape as
+ *   /dapp-search).
+ */
+router.get('/api/trending', authenticateToken, async function (req, res, next) {
+  try {
+    const metric = req.query.metric || DEFAULT_TRENDING_METRIC;
+    if (!TRENDING_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid metric. Must be one of: ${TRENDING_METRICS.join(', ')}`
+      });
+    }
+
+    const window = req.query.window || DEFAULT_TRENDING_WINDOW;
+    if (!Object.prototype.hasOwnProperty.call(TRENDING_WINDOWS, window)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid window. Must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`
+      });
+    }
+
+    const limit = Math.min(MAX_TRENDING_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_TRENDING_LIMIT));
+
+    const filters = buildDappFilters(req.query, { taxonomy: await loadTaxonomy() });
+    if (filters.error) {
+      return res.status(400).json(filters.error);
+    }
+
+    // `metric` is one of TRENDING_METRICS, never raw input.
+    const windowParam = filters.bind(TRENDING_WINDOWS[window]);
+    const clauses = filters.clauses.concat([
+      `cur.captured_at > NOW() - ${windowParam}::interval`,
+      `base.captured_at > NOW() - 2 * ${windowParam}::interval`,
+      'base.value > 0'
+    ]);
+    const limitParam = filters.bind(limit);
+
+    const result = await db.query(
+      `SELECT dm.dapp_id, dm.name, dm.logo, dm.link, dm.chains, dm.categories,
+              rm.ratings::float AS ratings,
+              cur.value::float AS current_value, cur.captured_at AS current_at,
+              base.value::float AS baseline_value, base.captured_at AS baseline_at,
+              ((cur.value - base.value) / base.value * 100)::float AS growth_pct
+       FROM dapps_main dm
+       LEFT JOIN reviews_make rm ON rm.dapp_id = dm.dapp_id
+       CROSS JOIN LATERAL (
+         SELECT s.${metric} AS value, s.captured_at
+         FROM public.metric_snapshots s
+         WHERE s.dapp_id = dm.dapp_id AND s.${metric} IS NOT NULL
+         ORDER BY s.captured_at DESC
+         LIMIT 1
+       ) AS cur
+       CROSS JOIN LATERAL (
+         SELECT s.${metric} AS value, s.captured_at
+         FROM public.metric_snapshots s
+         WHERE s.dapp_id = dm.dapp_id AND s.${metric} IS NOT NULL
+           AND s.captured_at <= NOW() - ${windowParam}::interval
+         ORDER BY s.captured_at DESC
+         LIMIT 1
+       ) AS base
+       ${toWhereSQL(clauses)}
+       ORDER BY growth_pct DESC, dm.dapp_id
+       LIMIT ${limitParam}`,
+      filters.params
+    );
+
+    res.json({ success: true, metric, window, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching trending dApps:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending dApps',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,663 @@
+var express = require('express');
+var router = express.Router();
+const db = require('../db');
+const { isValidAccountId } = require('../utils/account');
+const { buildDappFilters, toWhereSQL } = require('../utils/dapp-filters');
+const { resolveSort } = require('../utils/dapp-sort');
+const { loadTaxonomy } = require('../utils/taxonomy');
+
+/**
+ * Saved searches (migrations/005_saved_searches.sql).
+ *
+ * A wallet account saves a named set of /dapp-search parameters and later asks
+ * for the dApps matching it that were listed since its previous check. Like
+ * favorites, these routes are keyed on the accountId and take no JWT.
+ */
+
+/** /dapp-search parameters a saved search may store. Paging and display options are not saved. */
+const SAVED_SEARCH_PARAMS = [
+  'q', 'name',
+  'category', 'category_mode', 'exclude_category',
+  'chain', 'chain_mode', 'exclude_chain',
+  'ratings', 'min_uaw', 'max_uaw', 'min_volume', 'min_transactions', 'min_balance',
+  'healthy', 'sort', 'order'
+];
+
+/** Saved searches allowed per account. */
+const MAX_SAVED_SEARCHES = 50;
+
+/** Longest saved search name. */
+const MAX_NAME_LENGTH = 100;
+
+/** Page size of GET /api/saved-searches/:id/new. */
+const DEFAULT_NEW_LIMIT = 50;
+const MAX_NEW_LIMIT = 100;
+
+/**
+ * Checks if a value can be converted to a valid saved search ID.
+ *
+ * @param {*} id - The value to validate
+ * @returns {number|null} The ID, or null if it is not a positive integer
+ */
+function parseSavedSearchId(id) {
+  const value = Number(id);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Validates a saved search name.
+ *
+ * @param {*} name
+ * @returns {string|null} The trimmed name, or null if invalid
+ */
+function parseName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed !== '' && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Validates a /dapp-search parameter set and reduces it to the stored form:
+ * only SAVED_SEARCH_PARAMS, values as strings (lists as string arrays), empty
+ * values dropped. The result is checked with the same filter engine and sort
+ * resolver as /dapp-search, so a saved search can always be run.
+ *
+ * @param {*} params - Request body `params`
+ * @param {Object} taxonomy - Result of loadTaxonomy()
+ * @returns {{ params: Object|null, error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function validateSearchParams(params, taxonomy) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { params: null, error: { success: false, error: 'params must be an object of /dapp-search parameters' } };
+  }
+
+  const unknown = Object.keys(params).filter(key => !SAVED_SEARCH_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    return {
+      params: null,
+      error: {
+        success: false,
+        error: `Unsupported search parameters. Must be any of: ${SAVED_SEARCH_PARAMS.join(', ')}`,
+        invalid: unknown
+      }
+    };
+  }
+
+  const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+  const stored = {};
+  const invalid = {};
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    if (value === null || value === '') return;
+    if (isScalar(value)) {
+      stored[key] = String(value);
+    } else if (Array.isArray(value) && value.every(isScalar)) {
+      if (value.length > 0) stored[key] = value.map(String);
+    } else {
+      invalid[key] = value;
+    }
+  });
+  if (Object.keys(invalid).length > 0) {
+    return { params: null, error: { success: false, error: 'Invalid filter values', invalid } };
+  }
+
+  const filters = buildDappFilters(stored, { taxonomy });
+  if (filters.error) {
+    return { params: null, error: filters.error };
+  }
+
+  const sort = resolveSort(stored, { textQuery: filters.textQuery });
+  if (sort.error) {
+    return { params: null, error: sort.error };
+  }
+
+  return { params: stored, error: null };
+}
+
+/**
+ * Shapes a saved_searches row for responses.
+ *
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatSavedSearch(row) {
+  return {
+    id: row.saved_search_id,
+    accountId: row.account_id,
+    name: row.name,
+    params: row.params,
+    lastCheckedAt: row.last_checked_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Loads a saved search owned by an account. Searches of other accounts are
+ * reported as missing.
+ *
+ * @param {number} id
+ * @param {string} accountId
+ * @returns {Promise<Object|null>}
+ */
+async function findSavedSearch(id, accountId) {
+  const result = await db.query(
+    `SELECT * FROM public.saved_searches
+     WHERE saved_search_id = $1 AND account_id = $2`,
+    [id, accountId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether the account already has another saved search with this name
+ * (case-insensitive).
+ *
+ * @param {string} accountId
+ * @param {string} name
+ * @param {number|null} exceptId - Saved search being renamed
+ * @returns {Promise<boolean>}
+ */
+async function nameTaken(accountId, name, exceptId) {
+  const result = await db.query(
+    `SELECT 1 FROM public.saved_searches
+     WHERE account_id = $1 AND LOWER(name) = LOWER($2) AND saved_search_id <> $3
+     LIMIT 1`,
+    [accountId, name, exceptId || 0]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * POST /api/saved-searches
+ *
+ * Saves a named /dapp-search parameter set for an account. Only dApps listed
+ * after this moment are reported by GET /api/saved-searches/:id/new.
+ *
+ * @route POST /api/saved-searches
+ * @param {Object} req.body - Request payload
+ * @param {string} req.body.accountId - Valid Polkadot/Substrate address (47-48 chars)
+ * @param {string} req.body.name - Display name, unique per account (max 100 chars)
+ * @param {Object} req.body.params - /dapp-search parameters, e.g.
+ *   { "category": "DeFi", "chain": ["Polkadot", "Moonbeam"], "ratings": "4" }
+ *
+ * Success Response (201):
+ * {
+ *   "success": true,
+ *   "message": "Saved search created successfully",
+ *   "data": {
+ *     "id": 7,
+ *     "accountId": "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY",
+ *     "name": "DeFi on Polkadot",
+ *     "params": { "category": "DeFi", "chain": ["Polkadot", "Moonbeam"], "ratings": "4" },
+ *     "lastCheckedAt": "2025-01-15T10:30:00.000Z",
+ *     "createdAt": "2025-01-15T10:30:00.000Z",
+ *     "updatedAt": "2025-01-15T10:30:00.000Z"
+ *   }
+ * }
+ *
+ * Error Responses:
+ * - 400: Invalid accountId, name or params (same filter errors as /dapp-search),
+ *        or the account already has MAX_SAVED_SEARCHES saved searches
+ * - 409: The account already has a saved search with this name
+ * - 500: Database error
+ *
+ * @middleware None - Public endpoint for authenticated blockchain users
+ */
+router.post('/api/saved-searches', async function(req, res, next) {
+  try {
+    const { accountId } = req.body;
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid or missing name. Must be 1-${MAX_NAME_LENGTH} characters.`
+      });
+    }
+
+    const validated = validateSearchParams(req.body.params, await loadTaxonomy());
+    if (validated.error) {
+      return res.status(400).json(validated.error);
+    }
+
+    const countResult = await db.query(
+      'SELECT COUNT(*)::int AS total FROM public.saved_searches WHERE account_id = $1',
+      [accountId]
+    );
+    if (countResult.rows[0].total >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `An account can have at most ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    if (await nameTaken(accountId, name, null)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A saved search with this name already exists'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO public.saved_searches (account_id, name, params)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [accountId, name, JSON.stringify(validated.params)]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Saved search created successfully',
+      data: formatSavedSearch(result.rows[0])
+    });
+
+  } catch (err) {
+    console.error('Error creating saved search:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create saved search',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/saved-searches?accountId=
+ *
+ * Lists an account's saved searches, newest first. Returns an empty array for
+ * accounts without saved searches rather than 404.
+ *
+ * @route GET /api/saved-searches
+ * @param {string} req.query.accountId - The blockchain address to look up
+ *
+ * Success Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "accountId": "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY",
+ *     "savedSearches": [{ "id": 7, "name": "DeFi on Polkadot", "params": { ... }, ... }]
+ *   }
+ * }
+ *
+ * Error Responses:
+ * - 400: Invalid accountId format
+ * - 500: Database query error
+ */
+router.get('/api/saved-searches', async function(req, res, next) {
+  try {
+    const { accountId } = req.query;
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT * FROM public.saved_searches
+       WHERE account_id = $1
+       ORDER BY created_at DESC, saved_search_id DESC`,
+      [accountId]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        accountId,
+        savedSearches: result.rows.map(formatSavedSearch)
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching saved searches:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved searches',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/saved-searches/:id?accountId=
+ *
+ * Fetches one saved search of the account.
+ *
+ * Error Responses:
+ * - 400: Invalid id or accountId
+ * - 404: No saved search with this id for the account
+ * - 500: Database query error
+ */
+router.get('/api/saved-searches/:id', async function(req, res, next) {
+  try {
+    const id = parseSavedSearchId(req.params.id);
+    const { accountId } = req.query;
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid saved search id' });
+    }
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    const savedSearch = await findSavedSearch(id, accountId);
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    return res.status(200).json({ success: true, data: formatSavedSearch(savedSearch) });
+
+  } catch (err) {
+    console.error('Error fetching saved search:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved search',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/saved-searches/:id
+ *
+ * Renames a saved search and/or replaces its parameters. `params` replaces
+ * the stored set as a whole. The new-match checkpoint is kept.
+ *
+ * @route PATCH /api/saved-searches/:id
+ * @param {Object} req.body - Request payload
+ * @param {string} req.body.accountId - Owner of the saved search
+ * @param {string} [req.body.name] - New name
+ * @param {Object} [req.body.params] - New /dapp-search parameters
+ *
+ * Error Responses:
+ * - 400: Invalid id, accountId, name or params, or neither name nor params given
+ * - 404: No saved search with this id for the account
+ * - 409: The account already has another saved search with this name
+ * - 500: Database error
+ */
+router.patch('/api/saved-searches/:id', async function(req, res, next) {
+  try {
+    const id = parseSavedSearchId(req.params.id);
+    const { accountId } = req.body;
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid saved search id' });
+    }
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    if (req.body.name === undefined && req.body.params === undefined) {
+      return res.status(400).json({ success: false, error: 'Nothing to update. Provide name and/or params.' });
+    }
+
+    let name = null;
+    if (req.body.name !== undefined) {
+      name = parseName(req.body.name);
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid name. Must be 1-${MAX_NAME_LENGTH} characters.`
+        });
+      }
+    }
+
+    let params = null;
+    if (req.body.params !== undefined) {
+      const validated = validateSearchParams(req.body.params, await loadTaxonomy());
+      if (validated.error) {
+        return res.status(400).json(validated.error);
+      }
+      params = JSON.stringify(validated.params);
+    }
+
+    if (!(await findSavedSearch(id, accountId))) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    if (name && await nameTaken(accountId, name, id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A saved search with this name already exists'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE public.saved_searches
+       SET name = COALESCE($3, name),
+           params = COALESCE($4::jsonb, params),
+           updated_at = NOW()
+       WHERE saved_search_id = $1 AND account_id = $2
+       RETURNING *`,
+      [id, accountId, name, params]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: formatSavedSearch(result.rows[0])
+    });
+
+  } catch (err) {
+    console.error('Error updating saved search:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved search',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/saved-searches/:id
+ *
+ * Deletes a saved search of the account.
+ *
+ * @route DELETE /api/saved-searches/:id
+ * @param {string} req.body.accountId - Owner of the saved search
+ *
+ * Error Responses:
+ * - 400: Invalid id or accountId
+ * - 404: No saved search with this id for the account
+ * - 500: Database error
+ */
+router.delete('/api/saved-searches/:id', async function(req, res, next) {
+  try {
+    const id = parseSavedSearchId(req.params.id);
+    const { accountId } = req.body;
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid saved search id' });
+    }
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    const result = await db.query(
+      `DELETE FROM public.saved_searches
+       WHERE saved_search_id = $1 AND account_id = $2
+       RETURNING saved_search_id`,
+      [id, accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully',
+      data: { id }
+    });
+
+  } catch (err) {
+    console.error('Error deleting saved search:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/saved-searches/:id/new?accountId=
+ *
+ * Returns the dApps matching the saved search that were listed
+ * (dapps_main.created_at) after the account last checked, newest first, and
+ * moves the checkpoint to now. The saved parameters are applied with the same
+ * filter engine as /dapp-search; the saved sort does not apply here.
+ *
+ * @route GET /api/saved-searches/:id/new
+ * @param {string} req.query.accountId - Owner of the saved search
+ * @param {number} [req.query.limit] - Max dApps returned (default 50, max 100).
+ *   `total` always counts every new match; the checkpoint moves regardless.
+ * @param {string} [req.query.peek] - 'true' to leave the checkpoint unchanged,
+ *   e.g. for an unread badge.
+ *
+ * Success Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "savedSearch": { "id": 7, "name": "DeFi on Polkadot", ... },
+ *     "since": "2025-01-15T10:30:00.000Z",
+ *     "checkedAt": "2025-01-20T08:00:00.000Z",
+ *     "total": 2,
+ *     "dapps": [
+ *       { "dapp_id": 123, "name": "...", "chains": "...", "categories": "...",
+ *         "logo": "...", "link": "...", "ratings": 4.5,
+ *         "created_at": "2025-01-19T12:00:00.000Z" }
+ *     ]
+ *   }
+ * }
+ *
+ * Error Responses:
+ * - 400: Invalid id or accountId, or saved parameters no longer valid (e.g. a
+ *        taxonomy entry was removed)
+ * - 404: No saved search with this id for the account
+ * - 500: Database error
+ */
+router.get('/api/saved-searches/:id/new', async function(req, res, next) {
+  try {
+    const id = parseSavedSearchId(req.params.id);
+    const { accountId } = req.query;
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid saved search id' });
+    }
+
+    if (!isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or missing accountId. Must be a valid blockchain address.'
+      });
+    }
+
+    const limit = Math.min(MAX_NEW_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_NEW_LIMIT));
+
+    // Timestamps are carried as text so the checkpoint keeps its full
+    // microsecond precision (JS Dates stop at milliseconds).
+    const checkpointResult = await db.query(
+      `SELECT *, last_checked_at::text AS since_text,
+              NOW() AS checked_at, NOW()::text AS checked_at_text
+       FROM public.saved_searches
+       WHERE saved_search_id = $1 AND account_id = $2`,
+      [id, accountId]
+    );
+    const savedSearch = checkpointResult.rows[0];
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    const filters = buildDappFilters(savedSearch.params, { taxonomy: await loadTaxonomy() });
+    if (filters.error) {
+      return res.status(400).json(filters.error);
+    }
+
+    // Bounded above by the check time too, so a dApp listed while this
+    // request runs is reported by the next check rather than skipped.
+    filters.clauses.push(`dm.created_at > ${filters.bind(savedSearch.since_text)}::timestamptz`);
+    filters.clauses.push(`dm.created_at <= ${filters.bind(savedSearch.checked_at_text)}::timestamptz`);
+
+    const whereSQL = toWhereSQL(filters.clauses);
+    const whereParams = filters.params.slice();
+    const limitParam = filters.bind(limit);
+
+    const [result, countResult] = await Promise.all([
+      db.query(
+        `SELECT dm.dapp_id, dm.name, dm.chains, dm.categories, dm.logo, dm.link,
+                rm.ratings::float AS ratings, dm.created_at
+         FROM dapps_main dm
+         LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id
+         ${whereSQL}
+         ORDER BY dm.created_at DESC, dm.dapp_id DESC
+         LIMIT ${limitParam}`,
+        filters.params
+      ),
+      db.query(
+        `SELECT COUNT(*)::int AS total
+         FROM dapps_main dm
+         LEFT JOIN reviews_make rm ON dm.dapp_id = rm.dapp_id
+         ${whereSQL}`,
+        whereParams
+      )
+    ]);
+
+    let current = savedSearch;
+    if (req.query.peek !== 'true') {
+      // Only advance from the checkpoint this request read, so a concurrent
+      // check that already moved it further is not rolled back.
+      const updated = await db.query(
+        `UPDATE public.saved_searches
+         SET last_checked_at = $3::timestamptz
+         WHERE saved_search_id = $1 AND last_checked_at = $2::timestamptz
+         RETURNING *`,
+        [id, savedSearch.since_text, savedSearch.checked_at_text]
+      );
+      if (updated.rows.length > 0) current = updated.rows[0];
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        savedSearch: formatSavedSearch(current),
+        since: savedSearch.last_checked_at,
+        checkedAt: savedSearch.checked_at,
+        total: countResult.rows[0].total,
+        dapps: result.rows
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching new saved search matches:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch new matches',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+/**
+ * routes/search-analytics.js
+ *
+ * Reports over the search_events captured by /dapp-search
+ * (utils/search-analytics.js, migrations/004_search_events.sql). Intended for
+ * the admin dashboard and the content team: the zero-result list shows which
+ * dApps people look for but cannot find.
+ *
+ * Endpoints:
+ *   GET /api/analytics/search/top-queries   - Most frequent queries
+ *   GET /api/analytics/search/zero-results  - Queries that returned nothing
+ *   GET /api/analytics/search/filters       - Filter and filter value usage
+ *
+ * Common query parameters:
+ *   days   number  Window ending now. Default: 7, max: 365.
+ *   from   string  ISO date/time window start (overrides days)
+ *   to     string  ISO date/time window end. Default: now.
+ *   limit  number  Rows (per filter, for /filters). Default: 20, max: 100.
+ *
+ * Only first-page requests are counted, so paging through one search does not
+ * inflate its numbers.
+ *
+ * Auth: All routes require a valid JWT (Bearer token).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 365;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Resolves the report window and row limit from the query string.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ from: Date, to: Date, limit: number, error: Object|null }}
+ *   `error` is a ready-to-send 400 body for an invalid window.
+ */
+function parseReportParams(query) {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const to = query.to ? new Date(query.to) : new Date();
+
+  let from;
+  if (query.from) {
+    from = new Date(query.from);
+  } else {
+    const days = query.days === undefined ? DEFAULT_DAYS : Number(query.days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_DAYS) {
+      return { error: { success: false, error: `days must be between 1 and ${MAX_DAYS}` } };
+    }
+    from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  }
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return { error: { success: false, error: 'Invalid window: from and to must be dates with from < to' } };
+  }
+
+  return { from, to, limit, error: null };
+}
+
+/**
+ * Sends a 500 in the shape used across the API.
+ */
+function sendReportError(res, report, err) {
+  console.error(`Error building ${report} report:`, err);
+  res.status(500).json({
+    success: false,
+    error: `Failed to build ${report} report`,
+    message: err.message
+  });
+}
+
+/**
+ * GET /api/analytics/search/top-queries
+ *
+ * Most frequent normalised queries in the window.
+ *
+ * Response:
+ *   { success, window: { from, to }, data: [{ query, searches, clients,
+ *     avg_results, zero_result_searches, avg_latency_ms, last_searched_at }] }
+ */
+router.get('/api/analytics/search/top-queries', authenticateToken, async function (req, res, next) {
+  try {
+    const params = parseReportParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const result = await db.query(
+      `SELECT normalized_query AS query,
+              COUNT(*)::int AS searches,
+              COUNT(DISTINCT client_id)::int AS clients,
+              AVG(result_count)::float AS avg_results,
+              COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_searches,
+              ROUND(AVG(latency_ms))::int AS avg_latency_ms,
+              MAX(created_at) AS last_searched_at
+       FROM public.search_events
+       WHERE created_at >= $1 AND created_at < $2
+         AND first_page AND normalized_query IS NOT NULL
+       GROUP BY normalized_query
+       ORDER BY searches DESC, query ASC
+       LIMIT $3`,
+      [params.from, params.to, params.limit]
+    );
+
+    res.json({ success: true, window: { from: params.from, to: params.to }, data: result.rows });
+  } catch (err) {
+    sendReportError(res, 'top queries', err);
+  }
+});
+
+/**
+ * GET /api/analytics/search/zero-results
+ *
+ * Queries whose searches returned no results, most frequent first — the
+ * onboarding wishlist. `example` is the most recent spelling as typed, and
+ * `filters` the filters most recently combined with it.
+ *
+ * Response:
+ *   { success, window: { from, to }, data: [{ query, example, searches,
+ *     clients, last_searched_at, filters }] }
+ */
+router.get('/api/analytics/search/zero-results', authenticateToken, async function (req, res, next) {
+  try {
+    const params = parseReportParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const result = await db.query(
+      `SELECT normalized_query AS query,
+              (array_agg(query_text ORDER BY created_at DESC))[1] AS example,
+              COUNT(*)::int AS searches,
+              COUNT(DISTINCT client_id)::int AS clients,
+              MAX(created_at) AS last_searched_at,
+              (array_agg(filters ORDER BY created_at DESC))[1] AS filters
+       FROM public.search_events
+       WHERE created_at >= $1 AND created_at < $2
+         AND first_page AND normalized_query IS NOT NULL
+         AND result_count = 0
+       GROUP BY normalized_query
+       ORDER BY searches DESC, query ASC
+       LIMIT $3`,
+      [params.from, params.to, params.limit]
+    );
+
+    res.json({ success: true, window: { from: params.from, to: params.to }, data: result.rows });
+  } catch (err) {
+    sendReportError(res, 'zero-result queries', err);
+  }
+});
+
+/**
+ * GET /api/analytics/search/filters
+ *
+ * How often each filter is used, and its most used values. List filters
+ * (chain, category, exclude_*) count each value separately; chain/category
+ * values are canonical taxonomy names.
+ *
+ * Response:
+ *   { success, window: { from, to }, total_searches,
+ *     data: [{ filter, searches, share, values: [{ value, searches }] }] }
+ */
+router.get('/api/analytics/search/filters', authenticateToken, async function (req, res, next) {
+  try {
+    const params = parseReportParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const windowSQL = `created_at >= $1 AND created_at < $2 AND first_page`;
+    const windowParams = [params.from, params.to];
+
+    // Per-filter counts come from the keys themselves so a multi-value
+    // filter (chain=A,B) counts once per search, not once per value.
+    const [totals, perFilter, values] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*)::int AS total FROM public.search_events WHERE ${windowSQL}`,
+        windowParams
+      ),
+      db.query(
+        `SELECT f.key AS filter, COUNT(*)::int AS searches
+         FROM public.search_events e
+         CROSS JOIN LATERAL jsonb_object_keys(e.filters) AS f(key)
+         WHERE ${windowSQL}
+         GROUP BY f.key
+         ORDER BY searches DESC, filter`,
+        windowParams
+      ),
+      db.query(
+        `SELECT f.key AS filter, v.value, COUNT(DISTINCT e.event_id)::int AS searches
+         FROM public.search_events e
+         CROSS JOIN LATERAL jsonb_each(e.filters) AS f(key, val)
+         CROSS JOIN LATERAL (
+           SELECT jsonb_array_elements_text(f.val) AS value WHERE jsonb_typeof(f.val) = 'array'
+           UNION ALL
+           SELECT f.val #>> '{}' WHERE jsonb_typeof(f.val) <> 'array'
+         ) AS v
+         WHERE ${windowSQL}
+         GROUP BY f.key, v.value
+         ORDER BY f.key, searches DESC, v.value`,
+        windowParams
+      )
+    ]);
+
+    const total = totals.rows[0].total;
+    const data = perFilter.rows.map(row => ({
+      filter: row.filter,
+      searches: row.searches,
+      share: total > 0 ? row.searches / total : 0,
+      values: values.rows
+        .filter(value => value.filter === row.filter)
+        .slice(0, params.limit)
+        .map(value => ({ value: value.value, searches: value.searches }))
+    }));
+
+    res.json({
+      success: true,
+      window: { from: params.from, to: params.to },
+      total_searches: total,
+      data
+    });
+  } catch (err) {
+    sendReportError(res, 'filter usage', err);
+  }
+});
+
+module.exports = router;
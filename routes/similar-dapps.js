@@ -0,0 +1,308 @@
+/**
+ * routes/similar-dapps.js
+ *
+ * "You might also like" recommendations for the dApp detail page.
+ *
+ * Endpoints:
+ *   GET /api/dapps/:dapp_id/similar  - dApps similar to the given one
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ *
+ * Candidates are scored in one query as a weighted sum of 0-1 signals
+ * (SIMILARITY_WEIGHTS):
+ *   categories, chains  Jaccard overlap of the lists, after resolving each
+ *                       value to its canonical taxonomy name (utils/taxonomy.js)
+ *                       so 'dex' and 'Exchanges' count as the same category
+ *   tags                Jaccard overlap of the (case-folded) tag names
+ *   description         pg_trgm similarity() of the descriptions (migrations/002)
+ *   activity            closeness of uaw, transactions and volume on a log
+ *                       scale, averaged over the metrics both dApps have
+ * Only active dApps sharing a stored chain, category or tag (`&&`), or with a
+ * similar description (pg_trgm `%`, pg_trgm.similarity_threshold), are
+ * candidates; these lookups are indexed (migrations/015), so the query does
+ * not score every dApp. Activity alone never makes two dApps similar.
+ *
+ * Responses are cached (utils/response-cache.js) in one namespace for all
+ * dApps, since a write to any dApp can change any dApp's recommendations;
+ * invalidateDapp() clears it.
+ *
+ * Response shape:
+ *   { success, data: [{ dapp_id, name, logo, link, chains, categories,
+ *     ratings, score, score_breakdown: { categories, chains, tags,
+ *     description, activity }, shared: { categories[], chains[], tags[] },
+ *     reason }] }
+ *   `reason` explains the match for the UI, e.g. "shares DeFi + Polygon".
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { TOKEN_KEY_SQL, numericTextSQL, listTokensSQL } = require('../utils/dapp-filters');
+const { loadTaxonomy, normalizeFilterValue } = require('../utils/taxonomy');
+const { activeDappSQL } = require('../utils/dapp-status');
+const responseCache = require('../utils/response-cache');
+const { CACHE_HEADER, CACHE_NAMESPACES } = responseCache;
+
+/** Weights of the similarity signals; they sum to 1 so scores stay in 0-1. */
+const SIMILARITY_WEIGHTS = {
+  categories: 0.35,
+  chains: 0.2,
+  tags: 0.15,
+  description: 0.2,
+  activity: 0.1
+};
+
+/** Shared categories/chains named in `reason` at most. */
+const REASON_MAX_TERMS = 3;
+
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 20;
+
+/** aggregated_metrics columns compared by the activity signal. */
+const ACTIVITY_METRICS = ['uaw', 'transactions', 'volume'];
+
+/**
+ * SQL set-returning expression yielding one lower-cased `token` per tag of a
+ * dApp, so tags differing only in case are shared.
+ *
+ * @param {string} column - Qualified column name, e.g. "dm.tags"
+ * @returns {string}
+ */
+function tagTokensSQL(column) {
+  return `(SELECT DISTINCT lower(t.token) AS token FROM ${listTokensSQL(column)} AS t)`;
+}
+
+/**
+ * SQL closeness (0-1) of one metric of two dApps on a log scale, NULL when
+ * either value is missing.
+ *
+ * @param {string} column - aggregated_metrics column
+ * @returns {string}
+ */
+function metricClosenessSQL(column) {
+  const a = `LN(1 + GREATEST(${numericTextSQL(`am.${column}`)}, 0))`;
+  const b = `LN(1 + GREATEST(${numericTextSQL(`tm.${column}`)}, 0))`;
+  return `CASE WHEN ${a} IS NULL OR ${b} IS NULL THEN NULL
+               WHEN GREATEST(${a}, ${b}) = 0 THEN 1
+               ELSE 1 - ABS(${a} - ${b}) / GREATEST(${a}, ${b}) END`;
+}
+
+/**
+ * Maps every normalised name and alias of the chain and category taxonomies
+ * to the entry's canonical name, as parallel arrays for unnest().
+ *
+ * @param {{ chains: Object, categories: Object }} taxonomy
+ * @returns {{ kinds: string[], keys: string[], names: string[] }}
+ */
+function canonicalTerms(taxonomy) {
+  const terms = { kinds: [], keys: [], names: [] };
+  [['chain', taxonomy.chains], ['category', taxonomy.categories]].forEach(([kind, index]) => {
+    index.entries.forEach(entry => {
+      new Set([entry.name].concat(entry.aliases).map(normalizeFilterValue)).forEach(key => {
+        terms.kinds.push(kind);
+        terms.keys.push(key);
+        terms.names.push(entry.name);
+      });
+    });
+  });
+  return terms;
+}
+
+/**
+ * Human-readable explanation of why a dApp was recommended.
+ *
+ * @param {Object} row - Scored row with shared lists and the breakdown
+ * @returns {string}
+ */
+function describeReason(row) {
+  const shared = row.shared.categories.concat(row.shared.chains).slice(0, REASON_MAX_TERMS);
+  if (shared.length > 0) return `shares ${shared.join(' + ')}`;
+  if (row.shared.tags.length > 0) return `shares tags ${row.shared.tags.slice(0, REASON_MAX_TERMS).join(', ')}`;
+  // Without a shared term, only the description made this dApp a candidate.
+  return 'similar description';
+}
+
+/**
+ * GET /api/dapps/:dapp_id/similar
+ *
+ * Query parameters:
+ *   limit  number  Results to return. Default: 6, max: 20.
+ *
+ * Results are ordered by score, then rating, then dapp_id. Sets X-Cache.
+ *
+ * Errors:
+ *   400 for a non-numeric dapp_id, 404 when the dApp does not exist.
+ */
+router.get('/api/dapps/:dapp_id/similar', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+
+    // Keyed by the parsed values so ?limit=abc and ?limit=6 share an entry.
+    // A 404 is not saved, so a dApp created later is found at once.
+    const cached = await responseCache.lookup(CACHE_NAMESPACES.SIMILAR, { dapp_id: Number(dapp_id), limit });
+    res.set(CACHE_HEADER, cached.status);
+    if (cached.hit) {
+      return res.json(cached.value);
+    }
+
+    const target = await db.query('SELECT dapp_id FROM dapps_main WHERE dapp_id = $1', [dapp_id]);
+    if (target.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    const terms = canonicalTerms(await loadTaxonomy());
+    const activity = ACTIVITY_METRICS.map(metricClosenessSQL);
+    const weighted = Object.keys(SIMILARITY_WEIGHTS)
+      .map(signal => `${SIMILARITY_WEIGHTS[signal]} * s.${signal}_score`)
+      .join(' + ');
+
+    // candidates: dApps sharing a stored chain, category or tag with the
+    // target, or with a similar description, found through the indexes of
+    // migrations/015.
+    // facets: one row per (dApp, kind, value) of the candidates and the
+    // target, chains/categories canonicalised.
+    // overlap: the values each candidate shares with the target.
+    const result = await db.query(
+      `WITH terms AS (
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[]) AS e(kind, key, name)
+       ),
+       target AS (
+         SELECT dapp_id, chains, categories, public.dapp_tag_keys(tags) AS tag_keys, description
+         FROM dapps_main WHERE dapp_id = $4
+       ),
+       candidates AS (
+         SELECT dm.dapp_id
+         FROM dapps_main dm, target
+         WHERE dm.dapp_id <> target.dapp_id
+           AND ${activeDappSQL('dm')}
+           AND (dm.chains && target.chains
+                OR dm.categories && target.categories
+                OR public.dapp_tag_keys(dm.tags) && target.tag_keys
+                OR dm.description % target.description)
+       ),
+       pool AS (
+         SELECT dm.* FROM dapps_main dm
+         WHERE dm.dapp_id IN (SELECT dapp_id FROM candidates UNION SELECT dapp_id FROM target)
+       ),
+       facets AS (
+         SELECT dm.dapp_id, 'chain' AS kind, COALESCE(terms.name, t.token) AS value
+         FROM pool dm
+         CROSS JOIN LATERAL ${listTokensSQL('dm.chains')} AS t
+         LEFT JOIN terms ON terms.kind = 'chain' AND terms.key = ${TOKEN_KEY_SQL}
+         UNION
+         SELECT dm.dapp_id, 'category', COALESCE(terms.name, t.token)
+         FROM pool dm
+         CROSS JOIN LATERAL ${listTokensSQL('dm.categories')} AS t
+         LEFT JOIN terms ON terms.kind = 'category' AND terms.key = ${TOKEN_KEY_SQL}
+         UNION
+         SELECT dm.dapp_id, 'tag', t.token
+         FROM pool dm
+         CROSS JOIN LATERAL ${tagTokensSQL('dm.tags')} AS t
+       ),
+       sizes AS (
+         SELECT dapp_id,
+                COUNT(*) FILTER (WHERE kind = 'category') AS categories,
+                COUNT(*) FILTER (WHERE kind = 'chain') AS chains,
+                COUNT(*) FILTER (WHERE kind = 'tag') AS tags
+         FROM facets GROUP BY dapp_id
+       ),
+       overlap AS (
+         SELECT f.dapp_id,
+                COALESCE(array_agg(f.value ORDER BY f.value) FILTER (WHERE f.kind = 'category'), '{}') AS categories,
+                COALESCE(array_agg(f.value ORDER BY f.value) FILTER (WHERE f.kind = 'chain'), '{}') AS chains,
+                COALESCE(array_agg(f.value ORDER BY f.value) FILTER (WHERE f.kind = 'tag'), '{}') AS tags
+         FROM facets f
+         JOIN facets tf ON tf.dapp_id = $4 AND tf.kind = f.kind AND tf.value = f.value
+         WHERE f.dapp_id <> $4
+         GROUP BY f.dapp_id
+       ),
+       scored AS (
+         SELECT dm.dapp_id,
+                COALESCE(o.categories, '{}') AS shared_categories,
+                COALESCE(o.chains, '{}') AS shared_chains,
+                COALESCE(o.tags, '{}') AS shared_tags,
+                COALESCE(cardinality(o.categories)::float / NULLIF(ts.categories + cs.categories - cardinality(o.categories), 0), 0) AS categories_score,
+                COALESCE(cardinality(o.chains)::float / NULLIF(ts.chains + cs.chains - cardinality(o.chains), 0), 0) AS chains_score,
+                COALESCE(cardinality(o.tags)::float / NULLIF(ts.tags + cs.tags - cardinality(o.tags), 0), 0) AS tags_score,
+                COALESCE(similarity(COALESCE(dm.description, ''), COALESCE(target.description, '')), 0)::float AS description_score,
+                COALESCE((
+                  SELECT (${activity.map(sql => `COALESCE(${sql}, 0)`).join(' + ')})
+                         / NULLIF(${activity.map(sql => `(${sql} IS NOT NULL)::int`).join(' + ')}, 0)
+                  FROM aggregated_metrics am, aggregated_metrics tm
+                  WHERE am.dapp_id = dm.dapp_id AND tm.dapp_id = target.dapp_id
+                  LIMIT 1
+                ), 0)::float AS activity_score
+         FROM candidates c
+         JOIN dapps_main dm ON dm.dapp_id = c.dapp_id
+         CROSS JOIN target
+         LEFT JOIN overlap o ON o.dapp_id = dm.dapp_id
+         LEFT JOIN sizes cs ON cs.dapp_id = dm.dapp_id
+         LEFT JOIN sizes ts ON ts.dapp_id = target.dapp_id
+       )
+       SELECT dm.dapp_id, dm.name, dm.logo, dm.link, dm.chains, dm.categories,
+              rm.ratings::float AS ratings,
+              s.shared_categories, s.shared_chains, s.shared_tags,
+              s.categories_score, s.chains_score, s.tags_score, s.description_score, s.activity_score,
+              (${weighted})::float AS score
+       FROM scored s
+       JOIN dapps_main dm ON dm.dapp_id = s.dapp_id
+       LEFT JOIN reviews_make rm ON rm.dapp_id = dm.dapp_id
+       ORDER BY score DESC, rm.ratings DESC NULLS LAST, dm.dapp_id
+       LIMIT $5`,
+      [terms.kinds, terms.keys, terms.names, dapp_id, limit]
+    );
+
+    const data = result.rows.map(row => {
+      const item = {
+        dapp_id: row.dapp_id,
+        name: row.name,
+        logo: row.logo,
+        link: row.link,
+        chains: row.chains,
+        categories: row.categories,
+        ratings: row.ratings,
+        score: row.score,
+        score_breakdown: {
+          categories: row.categories_score,
+          chains: row.chains_score,
+          tags: row.tags_score,
+          description: row.description_score,
+          activity: row.activity_score
+        },
+        shared: {
+          categories: row.shared_categories,
+          chains: row.shared_chains,
+          tags: row.shared_tags
+        }
+      };
+      item.reason = describeReason(item);
+      return item;
+    });
+
+    const body = { success: true, data };
+    cached.save(body);
+    res.json(body);
+  } catch (err) {
+    console.error('Error fetching similar dApps:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch similar dApps',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,258 +6,647 @@
  * detail page in the frontend.
  *
  * Endpoints:
- *   GET /api/dapps/:dapp_id  - Fetch full dApp detail by ID
+ *   GET /api/dapps/:dapp_id        - Fetch full dApp detail by ID
+ *   GET /api/dapps/by-slug/:slug   - Fetch full dApp detail by slug
+ *   GET /api/dapps/lookup?url=     - Resolve a website URL to a dApp
+ *   GET /api/dapps?ids=            - Fetch several dApp details at once
+ *   POST /api/dapps/batch          - Same, with the IDs in the request body
  *
  * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
  *
- * Response shape:
- *   { success, data: { name, description, full_description, logo, website,
- *     chains[], categories[], social_links[], tags[], smartcontract,
+ * Response shape (full detail; `fields` and `include` select parts of it):
+ *   { success, data: { dapp_id, slug, name, description, full_description,
+ *     logo, website, chains[], categories[], social_links[], tags[],
+ *     listing_status, verified, smartcontract,
+ *     deployments: [{ chain, chain_slug, chain_id, contract_addresses[],
+ *       explorer_urls[], deployed_at }],
  *     metrics: { balance, transactions, uaw, volume },
  *     ratings, summarized_review,
- *     reviews: { [platform]: { review, link } } } }
+ *     reviews: { [platform]: { review, link } },
+ *     health: { status, status_code, final_url, tls_expires_at,
+ *       response_time_ms, error, consecutive_failures, flagged_at,
+ *       checked_at } | null,
+ *     boost?: { boost_point, sponsored } } }
+ *
+ * Listing status (utils/dapp-status.js): delisted dApps answer 410 Gone with
+ * the reason; hidden and archived dApps are still served with their
+ * `listing_status`. Batch requests only return active dApps.
+ *
+ * `verified` is true when the project's owners have verified a claim on the
+ * listing (routes/dapp-claims.js).
+ *
+ * `health.status` is 'up' when the latest website check succeeded, 'failing'
+ * when it failed, and 'down' once the dApp is flagged after several failures
+ * in a row (utils/website-health.js).
  */
 
 var express = require('express');
 var router = express.Router();
 const db = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const responseCache = require('../utils/response-cache');
+const { loadDeploymentsForDapps } = require('../utils/deployments');
+const { parseListParam } = require('../utils/dapp-filters');
+const { cleanWebsiteUrl } = require('../utils/dapp-helpers');
+const { ACTIVE_STATUS, DELISTED_STATUS } = require('../utils/dapp-status');
 
 /**
- * Normalises a raw database field value into a clean JS type for the API response.
+ * Lookup key of a URL for GET /api/dapps/lookup: lower-cased, without
+ * scheme, leading "www." and trailing slashes.
  *
- * dapps_main stores chains/categories/tags/social_links in TEXT columns using
- * several different formats depending on how they were written (comma-separated,
- * JSON array string, bare JSON objects, or native PG array). This function
- * handles every observed format so callers always receive a JS array or object.
+ * @param {string} href
+ * @returns {string} e.g. 'https://www.Uniswap.org/' -> 'uniswap.org'
+ */
+function urlMatchKey(href) {
+  return href.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+}
+
+/**
+ * SQL counterpart of urlMatchKey() for a dapps_main URL column.
  *
- * Field-specific rules:
- *   social_links  - Stored as a bare JSON object string (no enclosing []).
- *                   Wrapped in [] before parsing so JSON.parse succeeds.
- *   tags          - Stored as JSON objects with at least a `name` key.
- *                   Only the name is extracted to keep the response flat.
- *   categories /
- *   chains        - May arrive as a native PG array (already JS array) or as a
- *                   comma-separated/JSON string; returned as-is if already parsed.
+ * @param {string} column - Trusted column name
+ * @returns {string}
+ */
+function urlKeySQL(column) {
+  return `REGEXP_REPLACE(REGEXP_REPLACE(LOWER(${column}), '^https?://(www\\.)?', ''), '/+$', '')`;
+}
+
+/** dapps_main columns selectable with `fields=`, in response order. */
+const BASE_FIELDS = [
+  'dapp_id', 'slug', 'name', 'description', 'full_description', 'logo',
+  'website', 'chains', 'categories', 'social_links', 'tags', 'listing_status',
+  'verified'
+];
+
+/** Base fields computed in SQL rather than read from a dapps_main column. */
+const COMPUTED_FIELDS = {
+  // Owner badge: some account holds a verified claim (routes/dapp-claims.js).
+  verified: `EXISTS (SELECT 1 FROM public.dapp_claims AS cl
+    WHERE cl.dapp_id = dm.dapp_id AND cl.status = 'verified') AS verified`
+};
+
+/**
+ * Expansions selectable with `include=`: each costs a join or query and adds
+ * these response fields.
+ */
+const EXPANSIONS = {
+  contract: ['smartcontract'],
+  deployments: ['deployments'],
+  metrics: ['metrics'],
+  reviews: ['ratings', 'summarized_review', 'reviews'],
+  boost: ['boost'],
+  health: ['health']
+};
+
+/** Expansions returned when neither `fields` nor `include` is given. */
+const DEFAULT_INCLUDES = ['contract', 'deployments', 'metrics', 'reviews', 'health'];
+
+/** Most IDs one batch request may ask for. */
+const MAX_BATCH_IDS = 100;
+
+/** Every response field, in response order. */
+const ALL_FIELDS = BASE_FIELDS.concat(...Object.values(EXPANSIONS));
+
+/**
+ * Resolves `fields` and `include` into the expansions to load and the
+ * fields to return.
  *
- * Fallback chain for string fields:
- *   1. JSON array string ("[…]")  → JSON.parse, or split on commas if parse fails
- *   2. Comma-separated string     → split on ','
- *   3. Single value               → returned as-is
+ * - Neither given: all base fields plus DEFAULT_INCLUDES (the full detail).
+ * - `include` only: all base fields plus the listed expansions.
+ * - `fields` given: only those fields. An expansion runs when one of its
+ *   fields is requested or it is listed in `include`, and then all fields
+ *   of a listed expansion are returned.
  *
- * @param {string|Array|Object} field     Raw value from the DB row
- * @param {string}              fieldName Column name — drives field-specific logic
- * @returns {Array|string|Object|null}
+ * @param {Object} query - Express req.query
+ * @returns {{ includes: Set<string>, fields: string[], error: Object|null }}
+ *   `error` is a ready-to-send 400 body listing unknown values.
  */
-function parsePostgresArray(field, fieldName = '') {
-  if (!field || field === 'null' || field === '') {
-    return null;
-  }
+function parseDetailSelection(query) {
+  // Empty lists count as not given, as in the cache key (normalizeParams()).
+  const asList = (value) => {
+    const list = parseListParam(value);
+    return list.length > 0 ? list : null;
+  };
+  const requestedFields = asList(query.fields);
+  const requestedIncludes = asList(query.include);
 
-  try {
-    if (typeof field === 'string') {
-      // social_links: stored as a bare JSON object (e.g. {"platform":"twitter","url":"…"})
-      // without enclosing brackets. Wrapping in [] turns it into a valid JSON array.
-      if (fieldName === 'social_links') {
-        const jsonString = `[${field}]`;
-        try {
-          return JSON.parse(jsonString);
-        } catch (e) {
-          console.error('Error parsing social_links:', e);
-          return [];
-        }
+  const invalid = {};
+  const unknownFields = (requestedFields || []).filter(field => !ALL_FIELDS.includes(field));
+  const unknownIncludes = (requestedIncludes || []).filter(name => !EXPANSIONS[name]);
+  if (unknownFields.length > 0) invalid.fields = unknownFields;
+  if (unknownIncludes.length > 0) invalid.include = unknownIncludes;
+  if (Object.keys(invalid).length > 0) {
+    return {
+      includes: new Set(),
+      fields: [],
+      error: {
+        success: false,
+        error: 'Unknown fields or includes',
+        invalid,
+        allowed: { fields: ALL_FIELDS, include: Object.keys(EXPANSIONS) }
       }
+    };
+  }
 
-      // tags: each entry is a JSON object; only the `name` property is surfaced
-      // to keep the API response simple and avoid leaking internal tag metadata.
-      if (fieldName === 'tags') {
-        const jsonString = `[${field}]`;
-        try {
-          const parsed = JSON.parse(jsonString);
-          return parsed.map(tag => tag.name);
-        } catch (e) {
-          console.error('Error parsing tags:', e);
-          return [];
-        }
-      }
+  const includes = new Set(requestedIncludes || (requestedFields ? [] : DEFAULT_INCLUDES));
+  let wanted;
+  if (requestedFields) {
+    wanted = new Set(requestedFields);
+    Object.keys(EXPANSIONS).forEach(name => {
+      if (EXPANSIONS[name].some(field => wanted.has(field))) includes.add(name);
+    });
+    (requestedIncludes || []).forEach(name => EXPANSIONS[name].forEach(field => wanted.add(field)));
+  } else {
+    wanted = new Set(BASE_FIELDS);
+    includes.forEach(name => EXPANSIONS[name].forEach(field => wanted.add(field)));
+  }
 
-      // Generic JSON array string (e.g. '["Ethereum","Polygon"]').
-      if (field.startsWith('[') && field.endsWith(']')) {
-        try {
-          return JSON.parse(field);
-        } catch (e) {
-          // Malformed JSON — fall back to splitting on commas after stripping brackets.
-          return field.slice(1, -1).split(',').map(item => item.trim());
-        }
-      }
+  return { includes, fields: ALL_FIELDS.filter(field => wanted.has(field)), error: null };
+}
 
-      // Plain comma-separated string (e.g. "Ethereum,Polygon") — the format used
-      // by dapps_main after promotion from dapp_submissions via jsonToCommaSeparated().
-      if (field.includes(',')) {
-        return field.split(',').map(item => item.trim());
-      }
+/**
+ * Loads detail records, running only the joins of the selected expansions.
+ *
+ * The one-row-per-dApp tables (smart_contract_info, aggregated_metrics,
+ * reviews_make, dapp_boosts, dapp_website_health with its latest check) are
+ * LEFT JOINed, so a dApp is returned even without rows there and renders
+ * with null/default values. DISTINCT ON keeps the first row should a table
+ * hold several for a dApp. top_reviews (one row
+ * per platform) and deployments are loaded with separate queries so they
+ * don't multiply the rows.
+ *
+ * @param {Array<number|string>} dappIds
+ * @param {{ includes: Set<string>, fields: string[] }} selection - From parseDetailSelection()
+ * @returns {Promise<Map<number, Object>>} Detail records keyed by dapp_id;
+ *   missing dApps are absent.
+ */
+async function loadDappDetails(dappIds, selection) {
+  const { includes, fields } = selection;
+  const ids = dappIds.map(Number);
 
-      // Single value — return the string directly.
-      return field;
-    }
+  const columns = ['dm.dapp_id'].concat(
+    BASE_FIELDS.filter(field => field !== 'dapp_id' && fields.includes(field))
+      .map(field => COMPUTED_FIELDS[field] || `dm.${field}`)
+  );
+  const joins = [];
+  if (includes.has('contract')) {
+    columns.push('sc.smartcontract');
+    joins.push('LEFT JOIN smart_contract_info AS sc ON sc.dapp_id = dm.dapp_id');
+  }
+  if (includes.has('metrics')) {
+    columns.push('am.balance', 'am.transactions', 'am.uaw', 'am.volume');
+    joins.push('LEFT JOIN aggregated_metrics AS am ON am.dapp_id = dm.dapp_id');
+  }
+  if (includes.has('reviews')) {
+    columns.push('rm.ratings::float AS ratings', 'rm.summarized_review');
+    joins.push('LEFT JOIN reviews_make AS rm ON rm.dapp_id = dm.dapp_id');
+  }
+  if (includes.has('boost')) {
+    columns.push('COALESCE(db.boost_point, 0) AS boost_point');
+    joins.push('LEFT JOIN dapp_boosts AS db ON db.dapp_id = dm.dapp_id');
+  }
+  if (includes.has('health')) {
+    columns.push(
+      'wc.ok AS health_ok', 'wc.status_code AS health_status_code', 'wc.final_url AS health_final_url',
+      'wc.tls_expires_at AS health_tls_expires_at', 'wc.response_time_ms AS health_response_time_ms',
+      'wc.error AS health_error', 'wc.checked_at AS health_checked_at',
+      'wh.consecutive_failures AS health_consecutive_failures', 'wh.flagged_at AS health_flagged_at'
+    );
+    joins.push(
+      'LEFT JOIN public.dapp_website_health AS wh ON wh.dapp_id = dm.dapp_id',
+      'LEFT JOIN public.dapp_website_checks AS wc ON wc.check_id = wh.last_check_id'
+    );
+  }
 
-    if (Array.isArray(field)) {
-      // Native PG array fields (categories, chains) need no further processing.
-      if (fieldName === 'categories' || fieldName === 'chains') {
-        return field;
-      }
+  const [result, reviews, deployments] = await Promise.all([
+    db.query(
+      `SELECT DISTINCT ON (dm.dapp_id) ${columns.join(', ')}
+       FROM dapps_main AS dm
+       ${joins.join('\n       ')}
+       WHERE dm.dapp_id = ANY($1::int[])
+       ORDER BY dm.dapp_id`,
+      [ids]
+    ),
+    includes.has('reviews')
+      ? db.query('SELECT dapp_id, platform, review, link FROM top_reviews WHERE dapp_id = ANY($1::int[])', [ids])
+      : null,
+    includes.has('deployments') ? loadDeploymentsForDapps(ids) : null
+  ]);
 
-      // tags as a PG array: elements may be JSON strings or objects with a `name` key.
-      if (fieldName === 'tags') {
-        return field.map(item => {
-          if (typeof item === 'string') {
-            try {
-              const parsed = JSON.parse(item);
-              return parsed.name || item;
-            } catch (e) {
-              return item;
-            }
-          }
-          return item.name || item;
-        });
-      }
+  // Each top_reviews row is one platform review. Keying by platform name
+  // gives O(1) lookup on the frontend and deduplicates if the same platform
+  // somehow appears twice.
+  const reviewsByDapp = new Map();
+  if (reviews) {
+    reviews.rows.forEach(row => {
+      if (!row.platform || !row.review) return;
+      if (!reviewsByDapp.has(row.dapp_id)) reviewsByDapp.set(row.dapp_id, {});
+      reviewsByDapp.get(row.dapp_id)[row.platform] = {
+        review: row.review,
+        link: row.link
+      };
+    });
+  }
 
-      return field;
+  const details = new Map();
+  result.rows.forEach(row => {
+    // List columns arrive as arrays (TEXT[]/JSONB, migrations/009). Metrics
+    // are nested under a single key to group related numeric fields.
+    const all = {};
+    BASE_FIELDS.forEach(field => {
+      if (row[field] !== undefined) all[field] = row[field];
+    });
+    if (includes.has('contract')) {
+      all.smartcontract = row.smartcontract || null;
+    }
+    if (includes.has('deployments')) {
+      all.deployments = deployments.get(row.dapp_id);
+    }
+    if (includes.has('metrics')) {
+      all.metrics = {
+        balance: row.balance || '0',
+        transactions: row.transactions || '0',
+        uaw: row.uaw || 0,       // Unique Active Wallets
+        volume: row.volume || '0'
+      };
+    }
+    if (includes.has('reviews')) {
+      all.ratings = row.ratings || 0;
+      all.summarized_review = row.summarized_review || null;
+      all.reviews = reviewsByDapp.get(row.dapp_id) || {};
     }
+    if (includes.has('boost')) {
+      all.boost = { boost_point: row.boost_point, sponsored: row.boost_point > 0 };
+    }
+    if (includes.has('health')) {
+      // null until the website has been checked (utils/website-health.js).
+      all.health = row.health_checked_at ? {
+        status: row.health_flagged_at ? 'down' : row.health_ok ? 'up' : 'failing',
+        status_code: row.health_status_code,
+        final_url: row.health_final_url,
+        tls_expires_at: row.health_tls_expires_at,
+        response_time_ms: row.health_response_time_ms,
+        error: row.health_error,
+        consecutive_failures: row.health_consecutive_failures,
+        flagged_at: row.health_flagged_at,
+        checked_at: row.health_checked_at
+      } : null;
+    }
+
+    const detail = {};
+    fields.forEach(field => { detail[field] = all[field]; });
+    details.set(row.dapp_id, detail);
+  });
+
+  return details;
+}
+
+/**
+ * Loads the listing status of dApps.
+ *
+ * @param {Array<number|string>} dappIds
+ * @returns {Promise<Map<number, { listing_status: string, status_reason: string|null,
+ *                                 status_changed_at: Date|null }>>}
+ *   Keyed by dapp_id; missing dApps are absent.
+ */
+async function loadListingStatuses(dappIds) {
+  const result = await db.query(
+    `SELECT dapp_id, listing_status, status_reason, status_changed_at
+     FROM dapps_main
+     WHERE dapp_id = ANY($1::int[])`,
+    [dappIds.map(Number)]
+  );
+  return new Map(result.rows.map(({ dapp_id, ...status }) => [dapp_id, status]));
+}
+
+/**
+ * Sends the detail response of one dApp, from the cache when possible.
+ * Errors propagate to the calling route.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {number|string} dappId
+ */
+async function sendDappDetail(req, res, dappId) {
+  const selection = parseDetailSelection(req.query);
+  if (selection.error) {
+    return res.status(400).json(selection.error);
+  }
+
+  // Each dApp has its own cache namespace so writes can invalidate it alone.
+  // Only 200 responses are saved; a 404 must not outlive the dApp's creation
+  // and a status change invalidates the namespace, so a hit is never delisted.
+  const cached = await responseCache.lookup(responseCache.dappNamespace(dappId), req.query);
+  res.set(responseCache.CACHE_HEADER, cached.status);
+  if (cached.hit) {
+    return res.json(cached.value);
+  }
+
+  const status = (await loadListingStatuses([dappId])).get(Number(dappId));
+  if (!status) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dapp not found'
+    });
+  }
+  if (status.listing_status === DELISTED_STATUS) {
+    return res.status(410).json({
+      success: false,
+      error: 'Dapp has been delisted',
+      reason: status.status_reason,
+      delisted_at: status.status_changed_at
+    });
+  }
 
-    // Already an object — return as-is (e.g. if the PG driver auto-parsed JSON).
-    return field;
-  } catch (e) {
-    console.error(`Error parsing ${fieldName}:`, e);
-    return field;
+  const details = await loadDappDetails([dappId], selection);
+  const dappData = details.get(Number(dappId));
+  if (!dappData) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dapp not found'
+    });
   }
+
+  const body = {
+    success: true,
+    data: dappData
+  };
+  cached.save(body);
+  res.json(body);
 }
 
 /**
- * GET /api/dapps/:dapp_id
+ * Parses the ID list of a batch request: an array or comma-separated string
+ * of positive integers, de-duplicated in input order.
  *
- * Returns the full detail record for a single dApp by aggregating data from
- * five joined tables in one query, then reshaping the result in application code.
+ * @param {string|Array} value
+ * @returns {{ ids: number[], error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function parseBatchIds(value) {
+  const items = parseListParam(value);
+  if (items.length === 0) {
+    return { ids: [], error: { success: false, error: 'ids is required' } };
+  }
+
+  const invalid = items.filter(item => !/^\d+$/.test(item) || Number(item) < 1 || Number(item) > 2147483647);
+  if (invalid.length > 0) {
+    return { ids: [], error: { success: false, error: 'Invalid ids', invalid: { ids: invalid } } };
+  }
+
+  const ids = Array.from(new Set(items.map(Number)));
+  if (ids.length > MAX_BATCH_IDS) {
+    return { ids: [], error: { success: false, error: `Too many ids: at most ${MAX_BATCH_IDS} per request` } };
+  }
+  return { ids, error: null };
+}
+
+/**
+ * Sends the detail records of several dApps in one response, in the order
+ * the IDs were given, with the IDs that do not exist listed in `missing` and
+ * those that are not active in `unavailable`.
+ * Records have the same shape, and honour the same `fields`/`include`
+ * selection, as GET /api/dapps/:dapp_id. Errors propagate to the calling route.
  *
- * JOIN strategy:
- *   All four joins are LEFT JOINs. This means a dApp will still be returned
- *   even if it lacks rows in top_reviews, smart_contract_info,
- *   aggregated_metrics, or reviews_make — the detail page renders gracefully
- *   with null/default values for missing data.
+ * @param {Object} res
+ * @param {string|Array} idsParam
+ * @param {{ fields?: string|Array, include?: string|Array }} selectionParams
+ */
+async function sendDappBatch(res, idsParam, selectionParams) {
+  const parsed = parseBatchIds(idsParam);
+  if (parsed.error) {
+    return res.status(400).json(parsed.error);
+  }
+
+  const selection = parseDetailSelection(selectionParams);
+  if (selection.error) {
+    return res.status(400).json(selection.error);
+  }
+
+  const statuses = await loadListingStatuses(parsed.ids);
+  const activeIds = parsed.ids.filter(id => statuses.has(id) && statuses.get(id).listing_status === ACTIVE_STATUS);
+  const details = await loadDappDetails(activeIds, selection);
+  res.json({
+    success: true,
+    data: activeIds.filter(id => details.has(id)).map(id => details.get(id)),
+    missing: parsed.ids.filter(id => !statuses.has(id)),
+    unavailable: parsed.ids
+      .filter(id => statuses.has(id) && statuses.get(id).listing_status !== ACTIVE_STATUS)
+      .map(id => ({ dapp_id: id, listing_status: statuses.get(id).listing_status }))
+  });
+}
+
+/**
+ * GET /api/dapps?ids=1,2,3
  *
- *   top_reviews may have multiple rows per dApp (one per platform), which causes
- *   the query to return multiple result rows. All metadata columns (name, chains,
- *   metrics, etc.) are repeated identically across those rows — only platform,
- *   review, and link vary. The response-building step handles this by reading
- *   metadata from the first row only, then iterating all rows to collect reviews.
+ * Detail records of up to MAX_BATCH_IDS dApps in one round trip, for the
+ * favorites page and comparison views.
  *
- * Response shape:
- *   Flat DB columns are restructured into a nested object:
- *   - balance/transactions/uaw/volume → grouped under `metrics`
- *   - platform/review/link rows       → keyed by platform name under `reviews`
- *   - chains/categories/social_links/tags → parsed from raw TEXT via parsePostgresArray()
+ * Query parameters:
+ *   ids      string  Comma-separated dApp IDs (or repeated ids=). Required.
+ *   fields, include  As for GET /api/dapps/:dapp_id.
+ *
+ * Response:
+ *   200: { success, data: [detail, ...], missing: [dapp_id, ...],
+ *          unavailable: [{ dapp_id, listing_status }, ...] }
+ *        `data` follows the order of `ids` (duplicates dropped) and only
+ *        holds active dApps; hidden, delisted and archived ones are listed
+ *        in `unavailable`.
+ *   400: missing, malformed or too many ids, or unknown fields/includes
  */
-router.get('/api/dapps/:dapp_id', authenticateToken, async function (req, res, next) {
+router.get('/api/dapps', authenticateToken, async function (req, res, next) {
   try {
-    const { dapp_id } = req.params;
+    await sendDappBatch(res, req.query.ids, req.query);
+  } catch (err) {
+    console.error('Error fetching dapp batch:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database query failed',
+      message: err.message
+    });
+  }
+});
 
-    // isNaN handles non-numeric strings; the check also rejects empty strings.
-    if (!dapp_id || isNaN(dapp_id)) {
+/**
+ * POST /api/dapps/batch
+ *
+ * Same as GET /api/dapps?ids= for ID lists too long for a query string.
+ *
+ * Request body:
+ *   ids      number[]          dApp IDs. Required.
+ *   fields   string|string[]   Optional, as for GET /api/dapps/:dapp_id.
+ *   include  string|string[]   Optional, as for GET /api/dapps/:dapp_id.
+ */
+router.post('/api/dapps/batch', authenticateToken, async function (req, res, next) {
+  try {
+    const body = req.body || {};
+    await sendDappBatch(res, body.ids, { fields: body.fields, include: body.include });
+  } catch (err) {
+    console.error('Error fetching dapp batch:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database query failed',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/dapps/by-slug/:slug
+ *
+ * Same response as GET /api/dapps/:dapp_id, addressed by the dApp's slug
+ * (dapps_main.slug, case-insensitive).
+ */
+router.get('/api/dapps/by-slug/:slug', authenticateToken, async function (req, res, next) {
+  try {
+    const result = await db.query(
+      'SELECT dapp_id FROM public.dapps_main WHERE slug = LOWER($1)',
+      [req.params.slug]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    await sendDappDetail(req, res, result.rows[0].dapp_id);
+  } catch (err) {
+    console.error('Error fetching dapp by slug:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database query failed',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/dapps/lookup?url=
+ *
+ * Resolves a pasted website URL to a dApp. The URL gets a https:// scheme
+ * when it has none and is normalised with cleanWebsiteUrl() (query string
+ * and fragment dropped). It is then compared with each dApp's website and
+ * link, ignoring the scheme, a leading "www." and trailing slashes.
+ *
+ * A full URL match wins ("match": "url"). Otherwise a dApp on the same host
+ * is returned ("match": "host"), so https://uniswap.org/swap still finds
+ * https://uniswap.org/. Among several host matches the shortest website wins.
+ *
+ * Response:
+ *   200: { success, data: { dapp_id, slug, name, website, match } }
+ *   400: missing or malformed url
+ *   404: no dApp on that host
+ */
+router.get('/api/dapps/lookup', authenticateToken, async function (req, res, next) {
+  try {
+    const raw = typeof req.query.url === 'string' ? req.query.url.trim() : '';
+    if (raw === '') {
       return res.status(400).json({
         success: false,
-        error: 'Invalid dapp_id parameter'
+        error: 'url is required'
+      });
+    }
+
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`;
+    let url;
+    try {
+      url = new URL(cleanWebsiteUrl(withScheme));
+    } catch {
+      url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid url'
       });
     }
 
-    // Single query fetches all five tables at once.
-    // Multiple rows are returned when top_reviews has more than one platform entry
-    // for this dApp — metadata columns repeat but platform/review/link differ.
-    const query = `
-      SELECT
-        dm.name,
-        dm.description,
-        dm.full_description,
-        dm.logo,
-        dm.website,
-        dm.chains,
-        dm.categories,
-        dm.social_links,
-        dm.tags,
-        sc.smartcontract,
-        am.balance,
-        am.transactions,
-        am.uaw,
-        am.volume,
-        tr.link,
-        tr.platform,
-        tr.review,
-        rm.ratings::float AS ratings,
-        rm.summarized_review
-      FROM dapps_main AS dm
-      LEFT JOIN top_reviews AS tr ON dm.dapp_id = tr.dapp_id
-      LEFT JOIN smart_contract_info AS sc ON sc.dapp_id = dm.dapp_id
-      LEFT JOIN aggregated_metrics AS am ON am.dapp_id = dm.dapp_id
-      LEFT JOIN reviews_make AS rm ON rm.dapp_id = dm.dapp_id
-      WHERE dm.dapp_id = $1
-    `;
-
-    const result = await db.query(query, [dapp_id]);
-
-    // 0 rows means the dApp doesn't exist in dapps_main at all.
-    // LEFT JOINs ensure we still get a result even if related tables
-    // (reviews, metrics, contracts) have no entries yet.
+    const key = urlMatchKey(url.href);
+    const hostKey = key.split('/')[0];
+
+    const result = await db.query(
+      `SELECT dapp_id, slug, name, website,
+              (website_key = $1 OR link_key = $1) AS exact
+       FROM (
+         SELECT dapp_id, slug, name, website,
+                ${urlKeySQL('website')} AS website_key,
+                ${urlKeySQL('link')} AS link_key
+         FROM public.dapps_main
+       ) AS keyed
+       WHERE website_key = $1 OR link_key = $1
+          OR SPLIT_PART(website_key, '/', 1) = $2 OR SPLIT_PART(link_key, '/', 1) = $2
+       ORDER BY exact DESC, LENGTH(website), dapp_id
+       LIMIT 1`,
+      [key, hostKey]
+    );
+
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Dapp not found'
+        error: 'No dApp found for this URL'
       });
     }
 
-    // All repeated metadata is identical across rows — read it once from row 0.
-    const firstRow = result.rows[0];
-
-    // Build the base response object. TEXT columns with structured data are
-    // parsed by parsePostgresArray() into proper JS arrays/objects.
-    // Metrics are nested under a single key to group related numeric fields.
-    const dappData = {
-      name: firstRow.name,
-      description: firstRow.description,
-      full_description: firstRow.full_description,
-      logo: firstRow.logo,
-      website: firstRow.website,
-      chains: parsePostgresArray(firstRow.chains, 'chains'),
-      categories: parsePostgresArray(firstRow.categories, 'categories'),
-      social_links: parsePostgresArray(firstRow.social_links, 'social_links'),
-      tags: parsePostgresArray(firstRow.tags, 'tags'),
-      smartcontract: firstRow.smartcontract || null,
-      metrics: {
-        balance: firstRow.balance || '0',
-        transactions: firstRow.transactions || '0',
-        uaw: firstRow.uaw || 0,       // Unique Active Wallets
-        volume: firstRow.volume || '0'
-      },
-      ratings: firstRow.ratings || 0,
-      summarized_review: firstRow.summarized_review || null,
-      reviews: {}  // Populated below by iterating all rows
-    };
-
-    // Each row corresponds to one platform review from top_reviews.
-    // Keying by platform name gives O(1) lookup on the frontend and deduplicates
-    // if the same platform somehow appears twice.
-    result.rows.forEach(row => {
-      if (row.platform && row.review) {
-        dappData.reviews[row.platform] = {
-          review: row.review,
-          link: row.link
-        };
-      }
+    const { exact, ...dapp } = result.rows[0];
+    res.json({ success: true, data: { ...dapp, match: exact ? 'url' : 'host' } });
+  } catch (err) {
+    console.error('Error looking up dapp by URL:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database query failed',
+      message: err.message
     });
+  }
+});
 
-    res.json({
-      success: true,
-      data: dappData
-    });
+/**
+ * GET /api/dapps/:dapp_id
+ *
+ * Returns the detail record of a single dApp (see loadDappDetails()).
+ *
+ * Query parameters:
+ *   fields   string  Comma-separated response fields to return, e.g.
+ *                    fields=name,logo for a card. Default: all base fields.
+ *   include  string  Comma-separated expansions, each adding a join:
+ *                    contract (smartcontract), deployments, metrics,
+ *                    reviews (ratings, summarized_review, reviews),
+ *                    boost ({ boost_point, sponsored }) and health (latest
+ *                    website check). Default when neither parameter is
+ *                    given: contract,deployments,metrics,reviews,health.
+ *   See parseDetailSelection() for how the two combine.
+ *
+ * Response shape:
+ *   Flat DB columns are restructured into a nested object:
+ *   - balance/transactions/uaw/volume → grouped under `metrics`
+ *   - top_reviews rows                → keyed by platform name under `reviews`
+ *   - chains/categories/tags → arrays of names, social_links → array of link objects
+ *   - deployments → one entry per chain from dapp_deployments
+ *   400 { success: false, error, invalid: { fields?, include? }, allowed }
+ *   for unknown field or expansion names.
+ *   410 { success: false, error, reason, delisted_at } for a delisted dApp.
+ *   Hidden and archived dApps are returned with their `listing_status`.
+ *
+ * The same detail is served by GET /api/dapps/by-slug/:slug.
+ *
+ * Caching:
+ *   Found dApps are cached per dApp and query string
+ *   (utils/response-cache.js, X-Cache header) and invalidated by writes
+ *   through the API that change the dApp.
+ */
+router.get('/api/dapps/:dapp_id', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    // isNaN handles non-numeric strings; the check also rejects empty strings.
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
 
+    await sendDappDetail(req, res, dapp_id);
   } catch (err) {
     console.error('Error fetching dapp data:', err);
     res.status(500).json({
@@ -19,27 +19,22 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { authenticateToken } = require('../middleware/auth');
-const { cleanWebsiteUrl, generateDappId } = require('../utils/dapp-helpers');
+const { cleanWebsiteUrl, generateDappId, insertWithUniqueSlug } = require('../utils/dapp-helpers');
+const { loadTaxonomy, canonicalizeList, resolveDappTaxonomy } = require('../utils/taxonomy');
+const { invalidateDapp } = require('../utils/response-cache');
+const { resolveDappLists } = require('../utils/dapp-lists');
 
 /**
- * Converts a value to a comma-separated string suitable for TEXT columns in dapps_main.
+ * Converts a stored submission chains/categories value to the canonical
+ * taxonomy names stored in dapps_main.
  *
- * dapp_submissions stores chains/categories as JSON strings (e.g. '["Ethereum","Polygon"]'),
- * but dapps_main stores them as plain comma-separated TEXT (e.g. 'Ethereum,Polygon').
- * This helper bridges that schema difference during the approve flow.
- *
- * Handles three cases:
- *  1. Valid JSON array  → joins with commas
- *  2. Parse failure     → returns the raw string as-is (already comma-separated or single value)
- *  3. Non-string type   → coerces to string
+ * Submissions created before the taxonomy existed may hold aliases or values
+ * the taxonomy does not know yet. Known values are canonicalised; unknown
+ * ones are kept verbatim so approval never silently drops data.
  */
-function jsonToCommaSeparated(value) {
-  if (!value) return null;
-  try {
-    const parsed = JSON.parse(value);
-    if (Array.isArray(parsed)) return parsed.join(',');
-  } catch {}
-  return typeof value === 'string' ? value : String(value);
+function canonicalNames(index, value) {
+  const { names, unknown } = canonicalizeList(index, value);
+  return names.concat(unknown);
 }
 
 /** Basic RFC-5322-lite email check. Only enforces structural validity, not deliverability. */
@@ -84,8 +79,12 @@ function normalizeUrlComparison(url) {
  *   1. Optional contact_email format check (done before required-field check so
  *      we can return a specific error message rather than a generic one)
  *   2. Required fields: name, website, description, chains, categories
- *   3. URL sanity check via cleanWebsiteUrl()
- *   4. Duplicate detection against both dapp_submissions and dapps_main
+ *   3. Chains/categories must resolve in the taxonomy (utils/taxonomy.js);
+ *      they are stored under their canonical names
+ *   4. tags must be a list of names and social_links a list of link objects
+ *      (utils/dapp-lists.js), so approval can copy them to dapps_main
+ *   5. URL sanity check via cleanWebsiteUrl()
+ *   6. Duplicate detection against both dapp_submissions and dapps_main
  */
 router.post('/api/submissions', authenticateToken, async function (req, res, next) {
   try {
@@ -129,6 +128,18 @@ router.post('/api/submissions', authenticateToken, async function (req, res, nex
       });
     }
 
+    // Resolve aliases ('bsc', 'exchange') to canonical chain/category names.
+    const taxonomy = await loadTaxonomy();
+    const resolved = resolveDappTaxonomy(taxonomy, { chains, categories });
+    if (resolved.error) {
+      return res.status(400).json(resolved.error);
+    }
+
+    const lists = resolveDappLists({ tags, social_links });
+    if (lists.error) {
+      return res.status(400).json(lists.error);
+    }
+
     // Normalise the URL (strip trailing slashes, lowercase scheme, etc.)
     // before storing and before running duplicate checks.
     const cleanedWebsite = cleanWebsiteUrl(website);
@@ -179,10 +190,10 @@ router.post('/api/submissions', authenticateToken, async function (req, res, nex
 
     // Serialise array fields to JSON strings for storage in TEXT columns.
     // They will be re-parsed by parseJsonField() when read back out.
-    const chainsStr = Array.isArray(chains) ? JSON.stringify(chains) : chains;
-    const categoriesStr = Array.isArray(categories) ? JSON.stringify(categories) : categories;
-    const tagsStr = tags ? (Array.isArray(tags) ? JSON.stringify(tags) : tags) : null;
-    const socialLinksStr = social_links ? JSON.stringify(social_links) : null;
+    const chainsStr = JSON.stringify(resolved.chains.names);
+    const categoriesStr = JSON.stringify(resolved.categories.names);
+    const tagsStr = tags ? JSON.stringify(lists.tags) : null;
+    const socialLinksStr = social_links ? JSON.stringify(lists.socialLinks) : null;
 
     // Status is hardcoded to 'pending'; it transitions to 'approved'/'rejected'
     // only through the PATCH endpoints which require an authenticated reviewer.
@@ -316,11 +327,16 @@ router.get('/api/submissions/:submission_id', authenticateToken, async function
  *      but possible if two dApps share a URL root)
  *
  * Transaction steps (BEGIN → INSERT → UPDATE → COMMIT):
- *   - INSERT into dapps_main with chains/categories converted from JSON arrays
- *     to comma-separated strings (schema difference between the two tables)
+ *   - INSERT into dapps_main with a unique slug (insertWithUniqueSlug()),
+ *     chains/categories/tags converted from JSON strings to TEXT[] (aliases
+ *     resolved to canonical taxonomy names) and social_links to JSONB
+ *     (utils/dapp-lists.js); a submission whose tags or social_links do not
+ *     parse is rejected with 400 before BEGIN
  *   - UPDATE dapp_submissions to status='approved' with reviewer metadata
  *   - ROLLBACK automatically on any failure so we never get a dApp in
  *     dapps_main without its corresponding submission being marked approved.
+ *
+ * After COMMIT the cached listings are invalidated (utils/response-cache.js).
  */
 router.patch('/api/submissions/:submission_id/approve', authenticateToken, async function (req, res, next) {
   // Use a dedicated client (not the pool shorthand) to enable manual transaction control.
@@ -363,6 +379,13 @@ router.patch('/api/submissions/:submission_id/approve', authenticateToken, async
       return res.status(400).json({ success: false, error: 'Invalid website URL on submission' });
     }
 
+    // Submissions stored before tags/social_links were validated may hold
+    // values dapps_main cannot store; those have to be corrected first.
+    const lists = resolveDappLists({ tags: submission.tags, social_links: submission.social_links });
+    if (lists.error) {
+      return res.status(400).json({ ...lists.error, error: 'Invalid tags or social_links on submission' });
+    }
+
     // Deterministically generate a dapp_id from the website URL.
     // Checked for collision below before inserting.
     const dappId = generateDappId(cleanedWebsite);
@@ -419,39 +442,39 @@ router.patch('/api/submissions/:submission_id/approve', authenticateToken, async
       });
     }
 
+    // Loaded before BEGIN so a taxonomy reload never runs inside the transaction.
+    const taxonomy = await loadTaxonomy();
+
     // --- Atomic transaction: promote submission to live listing ---
     await client.query('BEGIN');
 
-    // dapps_main stores chains/categories as comma-separated TEXT (e.g. "Ethereum,Polygon")
-    // whereas dapp_submissions stores them as JSON arrays (e.g. '["Ethereum","Polygon"]').
-    // jsonToCommaSeparated() handles this schema mismatch on promotion.
-    const chainsStr = jsonToCommaSeparated(submission.chains);
-    const categoriesStr = jsonToCommaSeparated(submission.categories);
-    const tagsStr = submission.tags ? jsonToCommaSeparated(submission.tags) : null;
-    // social_links is kept as a JSON string in both tables; only re-serialise if it
-    // was somehow parsed into an object before reaching this point.
-    const socialLinksStr = submission.social_links ? (typeof submission.social_links === 'string' ? submission.social_links : JSON.stringify(submission.social_links)) : null;
+    // dapp_submissions keeps the lists as JSON strings (e.g. '["Ethereum","Polygon"]');
+    // dapps_main stores chains/categories/tags as TEXT[] and social_links as JSONB.
+    const chains = canonicalNames(taxonomy.chains, submission.chains);
+    const categories = canonicalNames(taxonomy.categories, submission.categories);
 
     // Both `link` and `website` are set to cleanedWebsite. `link` is the canonical
     // deep-link used in the UI; `website` is the human-readable URL used for display.
-    await client.query(
+    // A concurrent insert taking the same slug makes this retry with the next one.
+    const { slug } = await insertWithUniqueSlug(client, submission.name, slug => client.query(
       `INSERT INTO public.dapps_main
-         (dapp_id, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())`,
+         (dapp_id, slug, name, description, full_description, logo, link, website, chains, categories, social_links, tags, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())`,
       [
         dappId,
+        slug,
         submission.name,
         submission.description,
         submission.full_description,
         submission.logo_url,
         cleanedWebsite,
         cleanedWebsite,
-        chainsStr,
-        categoriesStr,
-        socialLinksStr,
-        tagsStr
+        chains,
+        categories,
+        JSON.stringify(lists.socialLinks),
+        lists.tags
       ]
-    );
+    ));
 
     // Mark the submission as approved and record who approved it and when.
     await client.query(
@@ -463,9 +486,12 @@ router.patch('/api/submissions/:submission_id/approve', authenticateToken, async
 
     await client.query('COMMIT');
 
+    // The new dApp must show up in cached listings right away.
+    await invalidateDapp(dappId);
+
     return res.json({
       success: true,
-      data: { dapp_id: dappId },
+      data: { dapp_id: dappId, slug },
       message: 'Submission approved and dApp added to listing'
     });
   } catch (err) {
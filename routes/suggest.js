@@ -0,0 +1,214 @@
+/**
+ * routes/suggest.js
+ *
+ * Lightweight typeahead for the frontend search box. Designed to be called
+ * on every keystroke, so it does at most one indexed query per request:
+ *
+ *   - dApp names   prefix ILIKE / trigram `%` on dapps_main.name, both served
+ *                  by idx_dapps_main_name_trgm (migrations/002)
+ *   - chains       matched in memory against the chain taxonomy (names and
+ *                  aliases, see utils/taxonomy.js)
+ *   - categories   matched in memory against the category taxonomy
+ *   - tags         matched in memory against a tag vocabulary loaded from
+ *                  dapps_main.tags and refreshed every TAG_CACHE_TTL_MS
+ *
+ * Endpoints:
+ *   GET /api/suggest?q=&limit=  - Mixed suggestions ranked by match score
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { loadTaxonomy } = require('../utils/taxonomy');
+const { activeDappSQL } = require('../utils/dapp-status');
+
+/** Default and maximum number of suggestions returned. */
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+/** Longest query accepted; anything longer is not a typeahead prefix. */
+const MAX_QUERY_LENGTH = 100;
+
+/** How long the tag vocabulary is reused before being reloaded. */
+const TAG_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/** Seconds clients/proxies may cache a suggestion response. */
+const RESPONSE_MAX_AGE = 30;
+
+/** In-process tag vocabulary: { names: string[], loadedAt: number } */
+let tagCache = null;
+
+/**
+ * Returns the tag vocabulary, loading it from dapps_main when the cached copy
+ * is missing or older than TAG_CACHE_TTL_MS.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function loadTagVocabulary() {
+  if (tagCache && Date.now() - tagCache.loadedAt < TAG_CACHE_TTL_MS) {
+    return tagCache.names;
+  }
+
+  const result = await db.query(
+    `SELECT DISTINCT tag FROM dapps_main dm CROSS JOIN LATERAL unnest(dm.tags) AS tag
+     WHERE ${activeDappSQL('dm')}
+     ORDER BY tag`
+  );
+
+  const seen = new Map();
+  result.rows.forEach(({ tag }) => {
+    const key = tag.toLowerCase();
+    if (!seen.has(key)) seen.set(key, tag);
+  });
+
+  tagCache = { names: Array.from(seen.values()), loadedAt: Date.now() };
+  return tagCache.names;
+}
+
+/**
+ * Scores a vocabulary term against the typed query:
+ *   1.0  term starts with the query
+ *   0.8  a later word of the term starts with the query
+ *   0.5  the query (3+ chars) appears anywhere else in the term
+ *
+ * @param {string} term
+ * @param {string} needle - Lower-cased query
+ * @returns {number} 0 when the term does not match
+ */
+function scoreTerm(term, needle) {
+  const haystack = term.toLowerCase();
+  if (haystack.startsWith(needle)) return 1;
+  if (haystack.split(/[\s\-_/]+/).some(word => word.startsWith(needle))) return 0.8;
+  if (needle.length >= 3 && haystack.includes(needle)) return 0.5;
+  return 0;
+}
+
+/**
+ * Matches a list of vocabulary terms in memory.
+ *
+ * @param {string[]} terms
+ * @param {string} type - Suggestion type to report ('tag')
+ * @param {string} needle - Lower-cased query
+ * @returns {Array<{ type: string, value: string, score: number }>}
+ */
+function matchTerms(terms, type, needle) {
+  return terms
+    .map(value => ({ type, value, score: scoreTerm(value, needle) }))
+    .filter(match => match.score > 0);
+}
+
+/**
+ * Matches taxonomy entries by canonical name or alias. An entry scores the
+ * best of its terms and is always reported under its canonical name, so
+ * typing 'bsc' suggests 'BNB Chain'.
+ *
+ * @param {Object} index - Chain or category index from loadTaxonomy()
+ * @param {string} type - Suggestion type to report ('chain', 'category')
+ * @param {string} needle - Lower-cased query
+ * @returns {Array<{ type: string, value: string, slug: string, score: number }>}
+ */
+function matchTaxonomy(index, type, needle) {
+  return index.entries
+    .map(entry => ({
+      type,
+      value: entry.name,
+      slug: entry.slug,
+      score: Math.max(...[entry.name].concat(entry.aliases).map(term => scoreTerm(term, needle)))
+    }))
+    .filter(match => match.score > 0);
+}
+
+/**
+ * Finds active dApps whose name starts with, or is trigram-similar to, the query.
+ * Prefix hits score 1.0; fuzzy hits score their similarity (0-1).
+ *
+ * @param {string} q
+ * @param {number} limit
+ * @returns {Promise<Array<{ type: string, value: string, dapp_id: number, slug: string, logo: string, score: number }>>}
+ */
+async function matchDappNames(q, limit) {
+  const escaped = q.replace(/[\\%_]/g, '\\$&');
+  const result = await db.query(
+    `SELECT dapp_id, slug, name, logo,
+            CASE WHEN name ILIKE $1 THEN 1.0 ELSE similarity(name, $2) END::float AS score
+     FROM dapps_main
+     WHERE (name ILIKE $1 OR name % $2) AND ${activeDappSQL()}
+     ORDER BY score DESC, name ASC
+     LIMIT $3`,
+    [`${escaped}%`, q, limit]
+  );
+
+  return result.rows.map(row => ({
+    type: 'dapp',
+    value: row.name,
+    dapp_id: row.dapp_id,
+    slug: row.slug,
+    logo: row.logo,
+    score: row.score
+  }));
+}
+
+/**
+ * GET /api/suggest
+ *
+ * Returns up to `limit` typeahead suggestions across dApp names, chains,
+ * categories and tags, ranked by score (ties: dApps first, then by value).
+ * dApp names and tags come from active dApps only (utils/dapp-status.js).
+ *
+ * Query parameters:
+ *   q      string  Text typed so far (required, 1-100 chars)
+ *   limit  number  Max suggestions. Default: 8, max: 20.
+ *
+ * Caching:
+ *   Responses carry `Cache-Control: private, max-age=30` so the browser can
+ *   reuse them while the user backspaces and retypes.
+ *
+ * Response:
+ *   { success, data: [{ type: 'dapp'|'chain'|'category'|'tag', value, score,
+ *                       dapp_id?, logo?, slug? }] }
+ */
+router.get('/api/suggest', authenticateToken, async function (req, res, next) {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q === '' || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `q is required and must be at most ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+    const needle = q.toLowerCase();
+
+    const [dapps, tags, taxonomy] = await Promise.all([
+      matchDappNames(q, limit),
+      loadTagVocabulary(),
+      loadTaxonomy()
+    ]);
+
+    const typeOrder = { dapp: 0, chain: 1, category: 2, tag: 3 };
+    const suggestions = dapps
+      .concat(matchTaxonomy(taxonomy.chains, 'chain', needle))
+      .concat(matchTaxonomy(taxonomy.categories, 'category', needle))
+      .concat(matchTerms(tags, 'tag', needle))
+      .sort((a, b) => (b.score - a.score)
+        || (typeOrder[a.type] - typeOrder[b.type])
+        || a.value.localeCompare(b.value))
+      .slice(0, limit);
+
+    res.set('Cache-Control', `private, max-age=${RESPONSE_MAX_AGE}`);
+    res.json({ success: true, data: suggestions });
+  } catch (err) {
+    console.error('Error fetching suggestions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suggestions',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * routes/taxonomy.js
+ *
+ * Exposes the canonical chain and category taxonomy (utils/taxonomy.js,
+ * migrations/003) so the frontend can build its filter dropdowns from the
+ * same source the search, add-dapp and submission routes resolve against.
+ *
+ * Endpoints:
+ *   GET /api/chains      - All chains with dApp counts
+ *   GET /api/categories  - All categories with dApp counts
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ *
+ * Response shape (both endpoints):
+ *   { success, data: [{ id, name, slug, aliases[], icon, parent_id,
+ *     parent: { id, name, slug }|null, dapp_count }] }
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { TOKEN_KEY_SQL, listTokensSQL } = require('../utils/dapp-filters');
+const { loadTaxonomy, matchKeys } = require('../utils/taxonomy');
+const { activeDappSQL } = require('../utils/dapp-status');
+
+/**
+ * Counts active dApps per taxonomy entry. A dApp counts towards an entry when its
+ * stored list contains the entry's name or an alias of it or any descendant,
+ * so counts agree with the chain/category search filters. Each dApp is
+ * counted once per entry even if it lists several aliases.
+ *
+ * @param {Object} index  - Chain or category index from loadTaxonomy()
+ * @param {string} column - dapps_main list column ('dm.chains', 'dm.categories')
+ * @returns {Promise<Map<number, number>>} entry id -> dApp count
+ */
+async function countDappsPerEntry(index, column) {
+  const entryIds = [];
+  const terms = [];
+  index.entries.forEach(entry => {
+    matchKeys(index, entry).forEach(key => {
+      entryIds.push(entry.id);
+      terms.push(key);
+    });
+  });
+
+  const result = await db.query(
+    `WITH tokens AS (
+       SELECT DISTINCT dm.dapp_id, ${TOKEN_KEY_SQL} AS key
+       FROM dapps_main dm
+       CROSS JOIN LATERAL ${listTokensSQL(column)} AS t
+       WHERE ${activeDappSQL('dm')}
+     )
+     SELECT terms.entry_id, COUNT(DISTINCT tokens.dapp_id)::int AS dapp_count
+     FROM unnest($1::int[], $2::text[]) AS terms(entry_id, term)
+     JOIN tokens ON tokens.key = terms.term
+     GROUP BY terms.entry_id`,
+    [entryIds, terms]
+  );
+
+  return new Map(result.rows.map(row => [row.entry_id, row.dapp_count]));
+}
+
+/**
+ * Builds the handler listing one taxonomy.
+ *
+ * @param {string} kind   - 'chains' or 'categories'
+ * @param {string} column - dapps_main column holding the values
+ * @returns {Function} Express handler
+ */
+function listTaxonomy(kind, column) {
+  return async function (req, res, next) {
+    try {
+      const index = (await loadTaxonomy())[kind];
+      const counts = await countDappsPerEntry(index, column);
+
+      const data = index.entries.map(entry => {
+        const parent = entry.parent_id !== null ? index.byId.get(entry.parent_id) : null;
+        return {
+          id: entry.id,
+          name: entry.name,
+          slug: entry.slug,
+          aliases: entry.aliases,
+          icon: entry.icon,
+          parent_id: entry.parent_id,
+          parent: parent ? { id: parent.id, name: parent.name, slug: parent.slug } : null,
+          dapp_count: counts.get(entry.id) || 0
+        };
+      });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      console.error(`Error fetching ${kind}:`, err);
+      res.status(500).json({
+        success: false,
+        error: `Failed to fetch ${kind}`,
+        message: err.message
+      });
+    }
+  };
+}
+
+/**
+ * GET /api/chains
+ *
+ * Lists every chain ordered by name. `dapp_count` of a parent (e.g.
+ * 'Ethereum L2') includes dApps on its children.
+ */
+router.get('/api/chains', authenticateToken, listTaxonomy('chains', 'dm.chains'));
+
+/**
+ * GET /api/categories
+ *
+ * Lists every category ordered by name, with the same counting rules.
+ */
+router.get('/api/categories', authenticateToken, listTaxonomy('categories', 'dm.categories'));
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * routes/website-health.js
+ *
+ * Website check history built from dapp_website_checks
+ * (utils/website-health.js, migrations/013_dapp_website_checks.sql). The
+ * latest status is part of the dApp detail response (`health`).
+ *
+ * Endpoints:
+ *   GET /api/dapps/:dapp_id/health  - A dApp's recent website checks
+ *
+ * Auth: Requires a valid JWT (Bearer token) via authenticateToken middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * GET /api/dapps/:dapp_id/health
+ *
+ * Query parameters:
+ *   limit  number  Checks to return, newest first. Default: 20, max: 100.
+ *
+ * Response:
+ *   200: { success, data: { dapp_id, consecutive_failures, flagged_at,
+ *          checks: [{ check_id, url, ok, status_code, final_url,
+ *          tls_expires_at, response_time_ms, error, checked_at }] } }
+ *        consecutive_failures is 0 and flagged_at null before the first check.
+ *   400: invalid dapp_id
+ *   404: dApp not found
+ */
+router.get('/api/dapps/:dapp_id/health', authenticateToken, async function (req, res, next) {
+  try {
+    const { dapp_id } = req.params;
+
+    if (!dapp_id || isNaN(dapp_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dapp_id parameter'
+      });
+    }
+
+    const limit = Math.min(MAX_HISTORY_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT));
+
+    const dapp = await db.query(
+      `SELECT dm.dapp_id, COALESCE(wh.consecutive_failures, 0) AS consecutive_failures, wh.flagged_at
+       FROM dapps_main dm
+       LEFT JOIN public.dapp_website_health wh ON wh.dapp_id = dm.dapp_id
+       WHERE dm.dapp_id = $1`,
+      [dapp_id]
+    );
+    if (dapp.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dapp not found'
+      });
+    }
+
+    const checks = await db.query(
+      `SELECT check_id, url, ok, status_code, final_url, tls_expires_at, response_time_ms, error, checked_at
+       FROM public.dapp_website_checks
+       WHERE dapp_id = $1
+       ORDER BY checked_at DESC, check_id DESC
+       LIMIT $2`,
+      [dapp_id, limit]
+    );
+
+    res.json({
+      success: true,
+      data: { ...dapp.rows[0], checks: checks.rows }
+    });
+  } catch (err) {
+    console.error('Error fetching website health:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch website health',
+      message: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/backfill-dapp-lists.js
+ *
+ * Repairs the list columns of dapps_main after
+ * migrations/009_dapps_main_list_columns.sql. The migration converts the
+ * legacy TEXT values best-effort and keeps the originals in `legacy_lists`;
+ * this command re-parses them strictly with utils/dapp-lists.js, maps chains
+ * and categories to their canonical taxonomy names and writes the result.
+ *
+ * A value that parses is rewritten and dropped from legacy_lists (cleared
+ * once empty). A value that does not parse keeps what the migration made of
+ * it, stays in legacy_lists and is reported, so it can be fixed by hand and
+ * the command re-run. Chains and categories the taxonomy does not know are
+ * kept verbatim and reported as well. Cached responses
+ * (utils/response-cache.js) pick up the rewritten values when they expire.
+ *
+ * Usage:
+ *   npm run backfill:dapp-lists              Rewrite the rows
+ *   npm run backfill:dapp-lists -- --dry-run Only report
+ *
+ * Exits with status 1 when any value could not be parsed.
+ */
+
+const db = require('../db');
+const { loadTaxonomy, canonicalizeList } = require('../utils/taxonomy');
+const { parseNameList, parseSocialLinks } = require('../utils/dapp-lists');
+
+/** dapps_main list columns and the parser for their legacy values. */
+const LIST_COLUMNS = {
+  chains: parseNameList,
+  categories: parseNameList,
+  tags: parseNameList,
+  social_links: parseSocialLinks
+};
+
+/** Columns whose names are canonicalised through the taxonomy. */
+const TAXONOMY_COLUMNS = ['chains', 'categories'];
+
+/**
+ * Re-parses the legacy values of one row.
+ *
+ * @param {Object} legacy - The row's legacy_lists: column -> original TEXT
+ * @param {{ chains: Object, categories: Object }} taxonomy
+ * @returns {{ values: Object, remaining: Object, unknown: Object }}
+ *   `values` maps columns to their repaired value, `remaining` the columns
+ *   that did not parse to their original text, `unknown` columns to values
+ *   missing from the taxonomy.
+ */
+function repairRow(legacy, taxonomy) {
+  const values = {};
+  const remaining = {};
+  const unknown = {};
+
+  Object.keys(legacy).forEach(column => {
+    const parse = LIST_COLUMNS[column];
+    const parsed = parse ? parse(legacy[column]) : null;
+    if (parsed === null) {
+      remaining[column] = legacy[column];
+    } else if (TAXONOMY_COLUMNS.includes(column)) {
+      const canonical = canonicalizeList(taxonomy[column], parsed);
+      values[column] = canonical.names.concat(canonical.unknown);
+      if (canonical.unknown.length > 0) unknown[column] = canonical.unknown;
+    } else {
+      values[column] = parsed;
+    }
+  });
+
+  return { values, remaining, unknown };
+}
+
+/**
+ * Writes the repaired values of one row and what is left of its legacy_lists.
+ *
+ * @param {number} dappId
+ * @param {Object} values - From repairRow()
+ * @param {Object} remaining - From repairRow()
+ * @returns {Promise<void>}
+ */
+async function saveRow(dappId, values, remaining) {
+  const params = [dappId, Object.keys(remaining).length > 0 ? JSON.stringify(remaining) : null];
+  // Column names come from LIST_COLUMNS, never from the stored data.
+  const assignments = Object.keys(values).map(column => {
+    params.push(column === 'social_links' ? JSON.stringify(values[column]) : values[column]);
+    return `${column} = $${params.length}`;
+  });
+
+  await db.query(
+    `UPDATE public.dapps_main
+     SET ${assignments.concat('legacy_lists = $2').join(', ')}
+     WHERE dapp_id = $1`,
+    params
+  );
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const taxonomy = await loadTaxonomy();
+
+  const result = await db.query(
+    `SELECT dapp_id, name, legacy_lists
+     FROM public.dapps_main
+     WHERE legacy_lists IS NOT NULL
+     ORDER BY dapp_id`
+  );
+
+  let repaired = 0;
+  const unparseable = [];
+  const unknownTerms = [];
+
+  for (const row of result.rows) {
+    const { values, remaining, unknown } = repairRow(row.legacy_lists, taxonomy);
+
+    Object.keys(remaining).forEach(column => {
+      unparseable.push({ dapp_id: row.dapp_id, name: row.name, column, value: remaining[column] });
+    });
+    Object.keys(unknown).forEach(column => {
+      unknownTerms.push({ dapp_id: row.dapp_id, name: row.name, column, values: unknown[column] });
+    });
+
+    if (Object.keys(values).length === 0) continue;
+    if (!dryRun) await saveRow(row.dapp_id, values, remaining);
+    repaired++;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Rows with legacy values: ${result.rows.length}, ${dryRun ? 'to repair' : 'repaired'}: ${repaired}`);
+
+  if (unknownTerms.length > 0) {
+    console.log(`\nValues missing from the taxonomy (kept as stored): ${unknownTerms.length}`);
+    unknownTerms.forEach(entry => {
+      console.log(`  dapp_id ${entry.dapp_id} (${entry.name}) ${entry.column}: ${entry.values.join(', ')}`);
+    });
+  }
+
+  if (unparseable.length > 0) {
+    console.log(`\nValues that could not be parsed (left in legacy_lists): ${unparseable.length}`);
+    unparseable.forEach(entry => {
+      console.log(`  dapp_id ${entry.dapp_id} (${entry.name}) ${entry.column}: ${JSON.stringify(entry.value)}`);
+    });
+  }
+
+  return unparseable.length === 0;
+}
+
+main()
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(err => {
+    console.error('Error backfilling dApp lists:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -0,0 +1,41 @@
+/**
+ * utils/account.js
+ *
+ * Wallet account helpers shared by the routes keyed on an accountId
+ * (favorites, saved searches).
+ */
+
+/**
+ * Validates if the provided string is a valid Polkadot/Substrate account address.
+ * These addresses use Base58 encoding and are typically 47-48 characters long.
+ *
+ * @param {string} accountId - The account address to validate
+ * @returns {boolean} True if valid, false otherwise
+ *
+ * @example
+ * // Valid Polkadot address
+ * isValidAccountId('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY') // true
+ *
+ * // Invalid formats
+ * isValidAccountId('0x1234...') // false (Ethereum format)
+ * isValidAccountId('short') // false (too short)
+ */
+function isValidAccountId(accountId) {
+  // Polkadot addresses are typically 47-48 characters long
+  if (!accountId || typeof accountId !== 'string') {
+    return false;
+  }
+
+  // Basic length check
+  if (accountId.length < 47 || accountId.length > 48) {
+    return false;
+  }
+
+  // Check for valid Base58 characters
+  const base58Regex = /^[123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]+$/;
+  return base58Regex.test(accountId);
+}
+
+module.exports = {
+  isValidAccountId
+};
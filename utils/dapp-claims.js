@@ -0,0 +1,281 @@
+/**
+ * utils/dapp-claims.js
+ *
+ * Ownership claims on listings (migrations/012_dapp_claims.sql). A claim
+ * gets a random challenge token; the team proves control of the listing with
+ * one of three methods:
+ *   http    https://<website host>/.well-known/geode-verify.txt has the token
+ *           on a line of its own
+ *   dns     a TXT record at _geode-verify.<domain> equals the token, where
+ *           <domain> is the website host without a leading "www."
+ *   wallet  claimMessage() signed (EIP-191 personal_sign) by the owner
+ *           wallet of one of the dApp's deployments (set by moderators,
+ *           migrations/014); contract addresses cannot sign and anyone
+ *           can list them, so they never verify a claim
+ *
+ * The HTTP and DNS lookups go through replaceable fetchers
+ * (setVerificationFetchers()), so tests and local setups can answer them
+ * without network access. The default HTTP fetcher only connects to public
+ * addresses (utils/public-address.js), redirects included.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const { verifyMessage } = require('ethers');
+const db = require('../db');
+const { normalizeWalletAddress } = require('./deployments');
+const { publicLookup, privateHostError } = require('./public-address');
+
+/** Days a pending claim can be verified. */
+const CLAIM_TTL_DAYS = 7;
+
+const CLAIM_METHODS = ['http', 'dns', 'wallet'];
+
+/** Path of the verification file on the dApp's website. */
+const WELL_KNOWN_PATH = '/.well-known/geode-verify.txt';
+
+/** Label prepended to the domain for the DNS TXT record. */
+const DNS_RECORD_PREFIX = '_geode-verify.';
+
+/** Limits of the default HTTP fetcher. */
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_FILE_BYTES = 4096;
+const MAX_REDIRECTS = 3;
+
+/** dapp_claims columns returned by the claim routes. */
+const CLAIM_FIELDS = `claim_id, dapp_id, account_id, client_id, contact, token, status, method,
+  proof, attempts, last_error, created_at, expires_at, verified_at, revoked_by, revoke_reason, revoked_at`;
+
+/**
+ * Fetchers used by the checks:
+ *   fetchText(url) -> { status: number, body: string }
+ *   resolveTxt(hostname) -> string[][] (as dns.promises.resolveTxt)
+ */
+const defaultFetchers = {
+  async fetchText(url) {
+    const refused = privateHostError(url);
+    if (refused) throw refused;
+
+    const response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FILE_BYTES,
+      maxRedirects: MAX_REDIRECTS,
+      lookup: publicLookup,
+      beforeRedirect: options => {
+        const hopRefused = privateHostError(`${options.protocol}//${options.hostname}`);
+        if (hopRefused) throw hopRefused;
+      },
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+    return { status: response.status, body: typeof response.data === 'string' ? response.data : '' };
+  },
+  resolveTxt(hostname) {
+    return dns.promises.resolveTxt(hostname);
+  }
+};
+
+let fetchers = defaultFetchers;
+
+/**
+ * Replaces the HTTP and/or DNS fetcher, e.g. with local stand-ins in tests.
+ * Fetchers not given keep their default; pass null to restore both.
+ *
+ * @param {{ fetchText?: Function, resolveTxt?: Function }|null} custom
+ */
+function setVerificationFetchers(custom) {
+  fetchers = { ...defaultFetchers, ...(custom || {}) };
+}
+
+/**
+ * A new challenge token.
+ *
+ * @returns {string} e.g. 'geode-verify-3f9a...'
+ */
+function generateClaimToken() {
+  return `geode-verify-${crypto.randomBytes(20).toString('hex')}`;
+}
+
+/**
+ * The message a wallet signs for the wallet method.
+ *
+ * @param {{ claim_id: number, dapp_id: number, token: string }} claim
+ * @returns {string}
+ */
+function claimMessage(claim) {
+  return `Geode ownership claim\ndApp: ${claim.dapp_id}\nClaim: ${claim.claim_id}\nToken: ${claim.token}`;
+}
+
+/**
+ * Host of a listed website, or null when it is not an http(s) URL.
+ *
+ * @param {string} website
+ * @returns {string|null}
+ */
+function websiteHost(website) {
+  try {
+    const url = new URL(website);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What the team has to publish or sign to verify a claim.
+ *
+ * @param {Object} claim - dapp_claims row
+ * @param {string} website - The dApp's website
+ * @returns {{ http: Object|null, dns: Object|null, wallet: Object }}
+ *   http and dns are null when the website has no usable host.
+ */
+function claimInstructions(claim, website) {
+  const host = websiteHost(website);
+  return {
+    http: host ? { url: `https://${host}${WELL_KNOWN_PATH}`, content: claim.token } : null,
+    dns: host ? { record: DNS_RECORD_PREFIX + host.replace(/^www\./, ''), type: 'TXT', value: claim.token } : null,
+    wallet: { message: claimMessage(claim) }
+  };
+}
+
+/**
+ * Looks for the token in the website's verification file.
+ *
+ * @param {Object} claim
+ * @param {string} website
+ * @returns {Promise<{ proof: Object|null, error: string|null }>}
+ */
+async function checkHttp(claim, website) {
+  const { http } = claimInstructions(claim, website);
+  if (!http) return { proof: null, error: 'The dApp has no website to verify against' };
+
+  let response;
+  try {
+    response = await fetchers.fetchText(http.url);
+  } catch (err) {
+    return { proof: null, error: `Could not fetch ${http.url}: ${err.message}` };
+  }
+  if (response.status !== 200) {
+    return { proof: null, error: `${http.url} returned HTTP ${response.status}` };
+  }
+
+  const lines = String(response.body || '').split(/\r?\n/).map(line => line.trim());
+  if (!lines.includes(claim.token)) {
+    return { proof: null, error: `The token was not found in ${http.url}` };
+  }
+  return { proof: { url: http.url }, error: null };
+}
+
+/**
+ * Looks for the token in the TXT records of the claim's DNS name.
+ *
+ * @param {Object} claim
+ * @param {string} website
+ * @returns {Promise<{ proof: Object|null, error: string|null }>}
+ */
+async function checkDns(claim, website) {
+  const instructions = claimInstructions(claim, website).dns;
+  if (!instructions) return { proof: null, error: 'The dApp has no website to verify against' };
+
+  let records;
+  try {
+    records = await fetchers.resolveTxt(instructions.record);
+  } catch (err) {
+    return { proof: null, error: `No TXT record found at ${instructions.record}` };
+  }
+
+  // A long TXT value arrives split into chunks.
+  const values = (records || []).map(chunks => [].concat(chunks).join('').trim());
+  if (!values.includes(claim.token)) {
+    return { proof: null, error: `The token was not found in the TXT records of ${instructions.record}` };
+  }
+  return { proof: { record: instructions.record }, error: null };
+}
+
+/**
+ * Checks a wallet signature of claimMessage() and that the wallet is the
+ * owner wallet of one of the dApp's deployments.
+ *
+ * @param {Object} claim
+ * @param {{ address?: string, signature?: string }} input - Request body
+ * @returns {Promise<{ proof: Object|null, error: string|null }>}
+ */
+async function checkWallet(claim, { address, signature }) {
+  const wallet = normalizeWalletAddress(address);
+  if (!wallet) {
+    return { proof: null, error: 'address must be an EVM (0x) wallet address' };
+  }
+  if (typeof signature !== 'string' || signature.trim() === '') {
+    return { proof: null, error: 'signature is required' };
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(claimMessage(claim), signature.trim()).toLowerCase();
+  } catch (err) {
+    return { proof: null, error: 'Invalid signature' };
+  }
+  if (signer !== wallet) {
+    return { proof: null, error: 'The signature was not made by this address' };
+  }
+
+  // Hex addresses are stored lower-cased (migrations/007 and 014).
+  const deployments = await db.query(
+    `SELECT c.name
+     FROM public.dapp_deployments d
+     JOIN public.chains c ON c.chain_id = d.chain_id
+     WHERE d.dapp_id = $1 AND d.owner_address = $2
+     ORDER BY c.name`,
+    [claim.dapp_id, wallet]
+  );
+  if (deployments.rows.length === 0) {
+    return { proof: null, error: 'This address is not the owner wallet of any of the dApp\'s deployments' };
+  }
+  return { proof: { address: wallet, chains: deployments.rows.map(row => row.name) }, error: null };
+}
+
+/**
+ * Runs the check of one method.
+ *
+ * @param {string} method - One of CLAIM_METHODS
+ * @param {Object} claim - dapp_claims row
+ * @param {string} website - The dApp's website
+ * @param {Object} input - Request body (address and signature for wallet)
+ * @returns {Promise<{ proof: Object|null, error: string|null }>}
+ *   `error` explains why the proof was not accepted.
+ */
+function checkClaimProof(method, claim, website, input) {
+  if (method === 'http') return checkHttp(claim, website);
+  if (method === 'dns') return checkDns(claim, website);
+  return checkWallet(claim, input);
+}
+
+/**
+ * The verified claim of an account on a dApp, if any.
+ *
+ * @param {number|string} dappId
+ * @param {string} accountId
+ * @returns {Promise<Object|null>} dapp_claims row
+ */
+async function findVerifiedClaim(dappId, accountId) {
+  const result = await db.query(
+    `SELECT ${CLAIM_FIELDS} FROM public.dapp_claims
+     WHERE dapp_id = $1 AND account_id = $2 AND status = 'verified'`,
+    [dappId, accountId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  CLAIM_TTL_DAYS,
+  CLAIM_METHODS,
+  CLAIM_FIELDS,
+  setVerificationFetchers,
+  generateClaimToken,
+  claimMessage,
+  claimInstructions,
+  checkClaimProof,
+  findVerifiedClaim
+};
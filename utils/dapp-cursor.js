@@ -0,0 +1,204 @@
+/**
+ * utils/dapp-cursor.js
+ *
+ * Keyset (cursor) pagination for dApp listings (/dapp-search, /api/boost/top).
+ *
+ * A listing is ordered by one or more sort keys, each `expr ASC|DESC NULLS
+ * LAST`, followed by `dm.dapp_id ASC` as the final tiebreaker. The cursor
+ * records the sort values and dapp_id of the last row served; the next page
+ * is every row that sorts strictly after it. Unlike OFFSET this stays fast on
+ * deep pages and does not skip or repeat rows when ratings or boost points
+ * change while a user scrolls.
+ *
+ * Cursors are opaque base64url-encoded JSON. They are tied to the sort they
+ * were issued for: reusing one with a different sort/order is rejected.
+ *
+ * Sort values travel as text (the queries select `expr::text`), so numeric
+ * and timestamp values round-trip without losing precision and are cast
+ * back by PostgreSQL when compared against the original expression. Each
+ * key declares the `type` of its values ('number', 'timestamp' or 'text'),
+ * and cursorValuesMatch() rejects values PostgreSQL could not cast back.
+ */
+
+/** Largest dapp_id (dapps_main.dapp_id is an INTEGER). */
+const MAX_DAPP_ID = 2147483647;
+
+/** PostgreSQL's text output of a numeric or float value. */
+const NUMBER_PATTERN = /^-?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+/** PostgreSQL's ISO text output of a timestamp, with or without a time zone. */
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}(:?\d{2}){0,2})?$/;
+
+/**
+ * Whether a text value can be cast back to the type of its sort key.
+ *
+ * @param {string} type - 'number', 'timestamp' or 'text'
+ * @param {string} value
+ * @returns {boolean}
+ */
+function valueMatchesType(type, value) {
+  if (type === 'number') {
+    return NUMBER_PATTERN.test(value) && Number.isFinite(Number(value));
+  }
+  if (type === 'timestamp') {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) return false;
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+      && hour < 24 && minute < 60 && second < 60;
+  }
+  // PostgreSQL text cannot hold NUL characters.
+  return !value.includes('\u0000');
+}
+
+/**
+ * Encodes the position after `row` as an opaque cursor string.
+ *
+ * @param {Object} sortInfo - { key, direction, fuzzy } identifying the sort
+ * @param {Array<string|null>} values - Sort key values of the last row, as text
+ * @param {number} dappId - dapp_id of the last row
+ * @returns {string}
+ */
+function encodeCursor(sortInfo, values, dappId) {
+  const payload = {
+    s: sortInfo.key,
+    o: sortInfo.direction,
+    f: Boolean(sortInfo.fuzzy),
+    v: values,
+    id: Number(dappId)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes and validates a cursor string.
+ *
+ * @param {string} cursor
+ * @returns {{ key: string, direction: string, fuzzy: boolean,
+ *             values: Array<string|null>, dappId: number }|null}
+ *   null when the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor === '') return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = payload
+      && typeof payload.s === 'string'
+      && (payload.o === 'asc' || payload.o === 'desc')
+      && Array.isArray(payload.v)
+      && payload.v.every(value => value === null || typeof value === 'string')
+      && Number.isInteger(payload.id)
+      && payload.id >= 0 && payload.id <= MAX_DAPP_ID;
+    if (!valid) return null;
+
+    return {
+      key: payload.s,
+      direction: payload.o,
+      fuzzy: Boolean(payload.f),
+      values: payload.v,
+      dappId: payload.id
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks the values of a decoded cursor against the sort keys it is used
+ * with: one value per key, each NULL or castable to the key's type. A cursor
+ * that fails this is treated like a malformed one.
+ *
+ * @param {Array<{ type: string }>} keys
+ * @param {Array<string|null>} values - From decodeCursor()
+ * @returns {boolean}
+ */
+function cursorValuesMatch(keys, values) {
+  return values.length === keys.length
+    && keys.every((key, index) => values[index] === null || valueMatchesType(key.type, values[index]));
+}
+
+/**
+ * Builds the WHERE clause selecting rows strictly after a cursor position.
+ *
+ * For keys k1..kn with NULLS LAST ordering and dapp_id as the tiebreaker, a
+ * row comes after (v1..vn, id) when, for some i, k1..k(i-1) equal v1..v(i-1)
+ * and ki sorts after vi — or when all keys are equal and dapp_id > id.
+ * A NULL value sorts after every non-NULL one, and nothing but a higher
+ * dapp_id follows a NULL.
+ *
+ * @param {Array<{ expression: string, direction: string }>} keys
+ * @param {Array<string|null>} values - One value per key
+ * @param {number} dappId
+ * @param {Function} bind - Placeholder binder from buildDappFilters()
+ * @returns {string} SQL condition
+ */
+function keysetClause(keys, values, dappId, bind) {
+  const equalities = [];
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const value = values[index];
+
+    if (value === null) {
+      equalities.push(`${key.expression} IS NULL`);
+      return;
+    }
+
+    const param = bind(value);
+    const operator = key.direction === 'asc' ? '>' : '<';
+    const after = `(${key.expression} ${operator} ${param} OR ${key.expression} IS NULL)`;
+    branches.push(equalities.concat([after]).join(' AND '));
+    equalities.push(`${key.expression} = ${param}`);
+  });
+
+  branches.push(equalities.concat([`dm.dapp_id > ${bind(dappId)}`]).join(' AND '));
+
+  return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+}
+
+/**
+ * ORDER BY clause for a list of sort keys plus the dapp_id tiebreaker.
+ *
+ * @param {Array<{ expression: string, direction: string }>} keys
+ * @returns {string}
+ */
+function keysetOrderBy(keys) {
+  return keys
+    .map(key => `${key.expression} ${key.direction.toUpperCase()} NULLS LAST`)
+    .concat(['dm.dapp_id ASC'])
+    .join(', ');
+}
+
+/**
+ * SELECT-list expression exposing the sort values of each row as text[],
+ * read back by the route to build `next_cursor`.
+ *
+ * @param {Array<{ expression: string }>} keys
+ * @returns {string}
+ */
+function cursorValuesSQL(keys) {
+  return `ARRAY[${keys.map(key => `(${key.expression})::text`).join(', ')}]::text[] AS cursor_values`;
+}
+
+/**
+ * Reads the `count` query parameter. Counting is on by default; count=false
+ * lets infinite-scroll clients skip the COUNT query.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {boolean}
+ */
+function wantsTotalCount(query) {
+  return query.count !== 'false';
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorValuesMatch,
+  keysetClause,
+  keysetOrderBy,
+  cursorValuesSQL,
+  wantsTotalCount
+};
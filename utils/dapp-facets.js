@@ -0,0 +1,111 @@
+/**
+ * utils/dapp-facets.js
+ *
+ * Faceted counts for dApp listings (?facets=true on /dapp-search and
+ * /api/boost/top). For each facet the counts are computed against the
+ * listing's current WHERE clause minus that facet's own filter, so the UI can
+ * show how many results every option would yield if selected.
+ *
+ * Facets:
+ *   chains      - one entry per distinct chain value
+ *   categories  - one entry per distinct category value
+ *   ratings     - cumulative "N stars & up" buckets plus an unrated bucket,
+ *                 matching the minimum-rating semantics of the `ratings` filter
+ *
+ * chains/categories are counted per whole list entry with listTokensSQL(),
+ * so "Polygon" and "Polygon zkEVM" are separate.
+ */
+
+const db = require('../db');
+const { buildDappFilters, listTokensSQL, toWhereSQL } = require('./dapp-filters');
+
+/** Minimum-rating thresholds reported by the ratings facet, highest first. */
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+/**
+ * Counts listing rows per distinct entry of a list column.
+ *
+ * @param {Object} query
+ * @param {Object} source
+ * @param {string} facetKey - Filter key to omit ('chain' or 'category')
+ * @param {string} column   - List column, e.g. 'dm.chains'
+ * @returns {Promise<Array<{ value: string, count: number }>>}
+ */
+async function countListFacet(query, source, facetKey, column) {
+  const filters = buildDappFilters(query, { ...source.filterOptions, omit: [facetKey] });
+  const whereSQL = toWhereSQL(source.baseClauses.concat(filters.clauses));
+
+  const result = await db.query(
+    `SELECT facet.token AS value, COUNT(DISTINCT dm.dapp_id)::int AS count
+     FROM ${source.from}
+     CROSS JOIN LATERAL ${listTokensSQL(column)} AS facet
+     ${whereSQL}
+     GROUP BY facet.token
+     ORDER BY count DESC, facet.token ASC`,
+    filters.params
+  );
+  return result.rows;
+}
+
+/**
+ * Counts listing rows per rating bucket, ignoring the `ratings` filter.
+ *
+ * @param {Object} query
+ * @param {Object} source
+ * @returns {Promise<Array<{ bucket: string, min: number|null, count: number }>>}
+ */
+async function countRatingFacet(query, source) {
+  const filters = buildDappFilters(query, { ...source.filterOptions, omit: ['ratings'] });
+  const whereSQL = toWhereSQL(source.baseClauses.concat(filters.clauses));
+
+  const bucketColumns = RATING_BUCKETS
+    .map(min => `COUNT(DISTINCT dm.dapp_id) FILTER (WHERE rm.ratings >= ${min})::int AS "${min}"`)
+    .join(',\n            ');
+
+  const result = await db.query(
+    `SELECT
+            ${bucketColumns},
+            COUNT(DISTINCT dm.dapp_id) FILTER (WHERE rm.ratings IS NULL)::int AS unrated
+     FROM ${source.from}
+     ${whereSQL}`,
+    filters.params
+  );
+
+  const row = result.rows[0];
+  return RATING_BUCKETS
+    .map(min => ({ bucket: `${min}+`, min, count: row[min] }))
+    .concat([{ bucket: 'unrated', min: null, count: row.unrated }]);
+}
+
+/**
+ * Computes all facets for a listing.
+ *
+ * @param {Object} query - Express req.query (already validated by buildDappFilters)
+ * @param {Object} source
+ * @param {string}   source.from          - FROM/JOIN clause; must alias dapps_main
+ *                                          as `dm` and reviews_make as `rm`
+ * @param {string[]} [source.baseClauses] - Fixed clauses of the listing,
+ *                                          e.g. ['db.boost_point > 0']
+ * @param {Object}   [source.filterOptions] - Options passed through to
+ *                                          buildDappFilters (e.g. fuzzyName)
+ * @returns {Promise<{ chains: Array, categories: Array, ratings: Array }>}
+ */
+async function computeFacets(query, source) {
+  const normalized = {
+    from: source.from,
+    baseClauses: source.baseClauses || [],
+    filterOptions: source.filterOptions || {}
+  };
+
+  const [chains, categories, ratings] = await Promise.all([
+    countListFacet(query, normalized, 'chain', 'dm.chains'),
+    countListFacet(query, normalized, 'category', 'dm.categories'),
+    countRatingFacet(query, normalized)
+  ]);
+
+  return { chains, categories, ratings };
+}
+
+module.exports = {
+  computeFacets
+};
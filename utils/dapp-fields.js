@@ -0,0 +1,175 @@
+/**
+ * utils/dapp-fields.js
+ *
+ * Validation of the editable fields of a listing, shared by POST /api/dapps
+ * (routes/add-dapp.js) and PATCH /api/dapps/:dapp_id (routes/dapp-edits.js)
+ * so a listing is held to the same rules when it is created and when it is
+ * corrected.
+ */
+
+const { cleanWebsiteUrl } = require('./dapp-helpers');
+const { toValueList, resolveDappTaxonomy } = require('./taxonomy');
+const { resolveDappLists } = require('./dapp-lists');
+
+/** Request fields a listing is created or edited with. */
+const EDITABLE_FIELDS = [
+  'name', 'description', 'full_description', 'logo', 'website',
+  'chains', 'categories', 'social_links', 'tags'
+];
+
+/** Fields a listing cannot be without. */
+const REQUIRED_FIELDS = ['name', 'description', 'website', 'chains', 'categories'];
+
+/**
+ * Whether a required field is missing: a blank string, or for chains and
+ * categories a list without values.
+ *
+ * @param {string} field
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlank(field, value) {
+  if (field === 'chains' || field === 'categories') {
+    return toValueList(value).length === 0;
+  }
+  return typeof value !== 'string' || value.trim() === '';
+}
+
+/**
+ * An optional text field: trimmed, or null when blank.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Validates listing fields and converts them to the dapps_main columns.
+ *
+ * Chains and categories are resolved to canonical taxonomy names, tags and
+ * social_links to their stored format (utils/dapp-lists.js) and the website
+ * is cleaned with cleanWebsiteUrl(); `link` always follows `website`.
+ *
+ * @param {{ chains: Object, categories: Object }} taxonomy - From loadTaxonomy()
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present
+ *   in `input` (PATCH); otherwise every required field must be given.
+ * @returns {{ values: Object, chainIds: number[]|null, categoryIds: number[]|null,
+ *             error: Object|null }}
+ *   `values` maps dapps_main columns to their new value; `error` is a
+ *   ready-to-send 400 body.
+ */
+function normalizeDappFields(taxonomy, input, { partial = false } = {}) {
+  const fields = EDITABLE_FIELDS.filter(field => !partial || input[field] !== undefined);
+  const has = field => fields.includes(field);
+  const fail = error => ({ values: null, chainIds: null, categoryIds: null, error });
+
+  const missing = REQUIRED_FIELDS.filter(field => has(field) && isBlank(field, input[field]));
+  if (missing.length > 0) {
+    return fail({ success: false, error: 'Missing required fields', missing });
+  }
+
+  const values = {};
+  let chainIds = null;
+  let categoryIds = null;
+
+  if (has('chains') || has('categories')) {
+    const resolved = resolveDappTaxonomy(taxonomy, {
+      chains: has('chains') ? input.chains : [],
+      categories: has('categories') ? input.categories : []
+    });
+    if (resolved.error) return fail(resolved.error);
+
+    if (has('chains')) {
+      values.chains = resolved.chains.names;
+      chainIds = resolved.chains.ids;
+    }
+    if (has('categories')) {
+      values.categories = resolved.categories.names;
+      categoryIds = resolved.categories.ids;
+    }
+  }
+
+  if (has('tags') || has('social_links')) {
+    const lists = resolveDappLists({
+      tags: has('tags') ? input.tags : null,
+      social_links: has('social_links') ? input.social_links : null
+    });
+    if (lists.error) return fail(lists.error);
+
+    if (has('tags')) values.tags = lists.tags;
+    if (has('social_links')) values.social_links = lists.socialLinks;
+  }
+
+  if (has('website')) {
+    const cleanedWebsite = cleanWebsiteUrl(input.website);
+    if (!cleanedWebsite) {
+      return fail({ success: false, error: 'Invalid website URL' });
+    }
+    values.website = cleanedWebsite;
+    values.link = cleanedWebsite;
+  }
+
+  if (has('name')) values.name = input.name.trim();
+  if (has('description')) values.description = input.description.trim();
+  if (has('full_description')) values.full_description = optionalText(input.full_description);
+  if (has('logo')) values.logo = optionalText(input.logo);
+
+  return { values, chainIds, categoryIds, error: null };
+}
+
+/**
+ * Looks for another listing with the same website (ignoring case and
+ * slashes) or the same name (ignoring case and surrounding whitespace).
+ *
+ * @param {Object} client - pg client (or db) to query on
+ * @param {{ website?: string, name?: string }} values - Only given keys are checked
+ * @param {number|string|null} [excludeDappId] - The listing being edited
+ * @returns {Promise<Object|null>} A ready-to-send 409 body, or null
+ */
+async function findDuplicateDapp(client, { website, name }, excludeDappId = null) {
+  if (website !== undefined) {
+    const byWebsite = await client.query(
+      `SELECT dapp_id, name FROM public.dapps_main
+       WHERE LOWER(REPLACE(website, '/', '')) = LOWER(REPLACE($1, '/', ''))
+         AND dapp_id IS DISTINCT FROM $2
+       LIMIT 1`,
+      [website, excludeDappId]
+    );
+    if (byWebsite.rows.length > 0) {
+      return {
+        success: false,
+        error: 'A dApp with this website already exists',
+        existing: { dapp_id: byWebsite.rows[0].dapp_id, name: byWebsite.rows[0].name }
+      };
+    }
+  }
+
+  if (name !== undefined) {
+    const byName = await client.query(
+      `SELECT dapp_id, name FROM public.dapps_main
+       WHERE LOWER(TRIM(name)) = LOWER(TRIM($1))
+         AND dapp_id IS DISTINCT FROM $2
+       LIMIT 1`,
+      [name, excludeDappId]
+    );
+    if (byName.rows.length > 0) {
+      return {
+        success: false,
+        error: 'A dApp with this name already exists',
+        existing: { dapp_id: byName.rows[0].dapp_id, name: byName.rows[0].name }
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  normalizeDappFields,
+  findDuplicateDapp
+};
@@ -0,0 +1,345 @@
+/**
+ * utils/dapp-filters.js
+ *
+ * Shared filter engine for every dApp listing route (/dapp-search,
+ * /api/boost/top, ...). Turns the common query parameters into
+ * placeholder-bound SQL so all listings interpret filters identically and no
+ * caller-supplied value is ever interpolated into the SQL string.
+ *
+ * Supported query parameters:
+ *   category          string|string[]  One or more category names
+ *   category_mode     'any'|'all'      Match any (OR, default) or all (AND) of them
+ *   exclude_category  string|string[]  Drop dApps in any of these categories
+ *   chain             string|string[]  One or more chain names
+ *   chain_mode        'any'|'all'      Match any (OR, default) or all (AND) of them
+ *   exclude_chain     string|string[]  Drop dApps deployed on any of these chains
+ *   ratings           number           Minimum average rating (0-5, inclusive)
+ *   name              string           Case-insensitive partial name match, or a
+ *                                      trigram similarity match in fuzzy mode
+ *                                      (migrations/002)
+ *   q                 string           Full-text query over name, categories, tags,
+ *                                      description and full_description
+ *                                      (dm.search_vector, see migrations/001)
+ *   min_uaw, max_uaw  number           Unique active wallets range (inclusive)
+ *   min_volume        number           Minimum volume
+ *   min_transactions  number           Minimum transaction count
+ *   min_balance       number           Minimum balance
+ *   healthy           'true'|'false'   'true' leaves out dApps whose website is flagged
+ *                                      as down (utils/website-health.js); 'false'
+ *                                      returns only those.
+ *
+ * Chain and category values are resolved against the taxonomy
+ * (utils/taxonomy.js): a name, slug or alias selects a canonical entry, which
+ * matches whole list entries equal to its name or any alias of it
+ * or its descendants ('exchange' and 'dex' match 'Exchanges'; 'Polygon' does
+ * not match 'Polygon zkEVM'). A trailing '*' opts into prefix matching on the
+ * stored entries: 'Polygon*' matches both.
+ *
+ * Only active dApps are ever returned (utils/dapp-status.js): these listings
+ * are public and cached, so hidden, delisted and archived dApps are listed
+ * through GET /api/moderation/dapps instead.
+ *
+ * Metric filters read aggregated_metrics through numericTextSQL(), so dApps
+ * whose metric is missing or unparseable never match a metric range.
+ *
+ * The queries built on top of these clauses are expected to alias
+ * dapps_main as `dm` and reviews_make as `rm`.
+ */
+
+const { resolveTerm, matchKeys, hasPrefix } = require('./taxonomy');
+const { activeDappSQL } = require('./dapp-status');
+
+/**
+ * Metric range filters: query key -> aggregated_metrics column and the
+ * comparison applied to its parsed value.
+ */
+const METRIC_FILTERS = [
+  { key: 'min_uaw', column: 'uaw', operator: '>=' },
+  { key: 'max_uaw', column: 'uaw', operator: '<=' },
+  { key: 'min_volume', column: 'volume', operator: '>=' },
+  { key: 'min_transactions', column: 'transactions', operator: '>=' },
+  { key: 'min_balance', column: 'balance', operator: '>=' }
+];
+
+/** aggregated_metrics columns exposed by metricsBlockSQL(). */
+const METRIC_COLUMNS = ['balance', 'transactions', 'uaw', 'volume'];
+
+/**
+ * SQL equivalent of normalizeFilterValue() (utils/taxonomy.js) for a
+ * `t.token` produced by listTokensSQL(), so stored entries and filter values
+ * compare alike.
+ */
+const TOKEN_KEY_SQL = `regexp_replace(regexp_replace(lower(t.token), '\\s+', ' ', 'g'), 's$', '')`;
+
+/**
+ * Checks a chain/category filter value against the taxonomy. Prefix values
+ * ('Polygon*') are accepted when at least one name or alias starts with them.
+ *
+ * @param {string} value
+ * @param {Object} index - Chain or category index from loadTaxonomy()
+ * @returns {boolean}
+ */
+function isKnownListValue(value, index) {
+  if (value.endsWith('*')) return hasPrefix(index, value.slice(0, -1));
+  return resolveTerm(index, value) !== null;
+}
+
+/**
+ * Reads a multi-value query parameter. Accepts both repeated keys
+ * (?chain=Ethereum&chain=Polygon) and a comma-separated string
+ * (?chain=Ethereum,Polygon). Empty entries are dropped.
+ *
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : [value];
+  return raw
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
+/**
+ * SQL expression that reads a numeric value out of a TEXT metric column
+ * (aggregated_metrics stores balance/transactions/uaw/volume as text such as
+ * '1,000,000', '$5000000.5' or 'N/A'). Thousands separators, whitespace and
+ * '$' are stripped; anything that is still not a plain number yields NULL
+ * instead of a cast error.
+ *
+ * @param {string} column - Qualified column name, e.g. "am.uaw"
+ * @returns {string} SQL expression of type numeric
+ */
+function numericTextSQL(column) {
+  const cleaned = `regexp_replace(${column}, '[\\s,$]', '', 'g')`;
+  return `(CASE WHEN ${cleaned} ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN ${cleaned}::numeric END)`;
+}
+
+/**
+ * SELECT-list expression returning a dApp's aggregated_metrics as a JSON
+ * object of parsed numbers ({ balance, transactions, uaw, volume }), or NULL
+ * when the dApp has no metrics row. A correlated subquery, so listings need
+ * no extra join and it only runs for the rows actually returned.
+ *
+ * @returns {string} SQL expression aliased `metrics`
+ */
+function metricsBlockSQL() {
+  const fields = METRIC_COLUMNS
+    .map(column => `'${column}', ${numericTextSQL(`am.${column}`)}::float`)
+    .join(', ');
+  return `(SELECT json_build_object(${fields})
+           FROM aggregated_metrics am WHERE am.dapp_id = dm.dapp_id LIMIT 1) AS metrics`;
+}
+
+/**
+ * SQL set-returning expression yielding one row per entry of a
+ * chains/categories TEXT[] column (migrations/009). Use with
+ * CROSS JOIN LATERAL.
+ *
+ * @param {string} column - Qualified column name, e.g. "dm.chains"
+ * @returns {string} SQL subquery yielding a single `token` column
+ */
+function listTokensSQL(column) {
+  return `(SELECT DISTINCT token FROM unnest(${column}) AS token)`;
+}
+
+/**
+ * SQL condition that is true when a chains/categories column contains an
+ * entry matching any of `values` (whole-entry match on the resolved taxonomy
+ * entries, or prefix match for values ending in '*').
+ *
+ * @param {string} column - Qualified column name, e.g. "dm.chains"
+ * @param {string[]} values - Validated filter values
+ * @param {Object} index - Chain or category index from loadTaxonomy()
+ * @param {Function} bind - Placeholder binder
+ * @returns {string}
+ */
+function tokenMatchSQL(column, values, index, bind) {
+  const exact = Array.from(new Set(values
+    .filter(value => !value.endsWith('*'))
+    .flatMap(value => matchKeys(index, resolveTerm(index, value)))));
+  const prefixes = values
+    .filter(value => value.endsWith('*'))
+    .map(value => value.slice(0, -1).trim().toLowerCase().replace(/[\\%_]/g, '\\$&') + '%');
+
+  const conditions = [];
+  if (exact.length > 0) conditions.push(`${TOKEN_KEY_SQL} = ANY(${bind(exact)}::text[])`);
+  prefixes.forEach(prefix => conditions.push(`lower(t.token) LIKE ${bind(prefix)}`));
+
+  return `EXISTS (SELECT 1 FROM ${listTokensSQL(column)} AS t WHERE ${conditions.join(' OR ')})`;
+}
+
+/**
+ * Builds the WHERE clauses shared by all dApp listings.
+ *
+ * Every value is bound through a $N placeholder. The returned `bind` function
+ * lets the caller append further parameters (LIMIT, OFFSET, ...) so their
+ * indices always follow the filter parameters.
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzyName=false] - Match `name` by trigram
+ *   similarity (pg_trgm `%`) instead of ILIKE, for typo-tolerant fallbacks.
+ * @param {string[]} [options.omit=[]] - Filter keys to leave out, e.g. ['chain']
+ *   when counting the chain facet against all other active filters. Omitting
+ *   'chain'/'category' also drops its mode and exclude_ parameters.
+ * @param {Object} [options.taxonomy] - Result of loadTaxonomy(); required
+ *   whenever chain/category parameters may be present.
+ * @returns {{ clauses: string[], params: Array, bind: Function,
+ *             textQuery: string|null, nameSimilarity: string|null,
+ *             error: Object|null }}
+ *   `textQuery` is the bound tsquery SQL expression when `q` was given, so
+ *   callers can rank and highlight against it without re-binding.
+ *   `nameSimilarity` is the bound similarity() expression in fuzzy mode.
+ *   `error` is a ready-to-send 400 body when any filter value is rejected.
+ */
+function buildDappFilters(query, { fuzzyName = false, omit = [], taxonomy = null } = {}) {
+  const clauses = [];
+  const params = [];
+  const invalid = {};
+
+  const bind = (value) => {
+    params.push(value);
+    return '$' + params.length;
+  };
+
+  // Chain / category: every included or excluded value must resolve in the
+  // taxonomy, then is matched against whole entries of the stored list.
+  const listFilters = [
+    { key: 'category', column: 'dm.categories', kind: 'categories' },
+    { key: 'chain', column: 'dm.chains', kind: 'chains' }
+  ];
+
+  listFilters.forEach(({ key, column, kind }) => {
+    if (omit.includes(key)) return;
+
+    const modeKey = `${key}_mode`;
+    const excludeKey = `exclude_${key}`;
+    const values = parseListParam(query[key]);
+    const excluded = parseListParam(query[excludeKey]);
+    const mode = query[modeKey] === undefined || query[modeKey] === '' ? 'any' : query[modeKey];
+    if (values.length === 0 && excluded.length === 0 && mode === 'any') return;
+
+    if (!taxonomy) {
+      throw new Error('buildDappFilters: a taxonomy is required for chain/category filters');
+    }
+    const index = taxonomy[kind];
+
+    if (mode !== 'any' && mode !== 'all') {
+      invalid[modeKey] = mode;
+    }
+
+    const unknown = values.filter(value => !isKnownListValue(value, index));
+    if (unknown.length > 0) invalid[key] = unknown;
+
+    const unknownExcluded = excluded.filter(value => !isKnownListValue(value, index));
+    if (unknownExcluded.length > 0) invalid[excludeKey] = unknownExcluded;
+
+    if (invalid[modeKey] || invalid[key] || invalid[excludeKey]) return;
+
+    if (values.length > 0 && mode === 'all') {
+      values.forEach(value => clauses.push(tokenMatchSQL(column, [value], index, bind)));
+    } else if (values.length > 0) {
+      clauses.push(tokenMatchSQL(column, values, index, bind));
+    }
+
+    if (excluded.length > 0) {
+      clauses.push(`NOT ${tokenMatchSQL(column, excluded, index, bind)}`);
+    }
+  });
+
+  // Rating filter: only applied when explicitly requested, so dApps without
+  // a reviews_make row (NULL ratings via LEFT JOIN) stay visible by default.
+  if (!omit.includes('ratings') && query.ratings !== undefined && query.ratings !== '') {
+    const minRating = Number(query.ratings);
+    if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+      invalid.ratings = query.ratings;
+    } else {
+      clauses.push(`rm.ratings >= ${bind(minRating)}`);
+    }
+  }
+
+  let nameSimilarity = null;
+  if (query.name && fuzzyName) {
+    const nameParam = bind(String(query.name).trim());
+    clauses.push(`dm.name % ${nameParam}`);
+    nameSimilarity = `similarity(dm.name, ${nameParam})`;
+  } else if (query.name) {
+    clauses.push(`dm.name ILIKE ${bind(`%${query.name}%`)}`);
+  }
+
+  // Metric ranges: all bounds are checked against one aggregated_metrics row.
+  const metricConditions = [];
+  const metricBounds = {};
+  METRIC_FILTERS.forEach(({ key, column, operator }) => {
+    if (omit.includes(key) || query[key] === undefined || query[key] === '') return;
+
+    const bound = Number(query[key]);
+    if (typeof query[key] !== 'string' || !Number.isFinite(bound) || bound < 0) {
+      invalid[key] = query[key];
+      return;
+    }
+    metricBounds[key] = bound;
+    metricConditions.push(`${numericTextSQL(`am.${column}`)} ${operator} ${bind(bound)}`);
+  });
+
+  if (metricBounds.min_uaw > metricBounds.max_uaw) {
+    invalid.max_uaw = query.max_uaw;
+  }
+
+  if (metricConditions.length > 0) {
+    clauses.push(`EXISTS (SELECT 1 FROM aggregated_metrics am
+                  WHERE am.dapp_id = dm.dapp_id AND ${metricConditions.join(' AND ')})`);
+  }
+
+  // Full-text search: websearch_to_tsquery accepts free text (quotes, OR,
+  // -exclusions) without raising syntax errors on arbitrary user input.
+  let textQuery = null;
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q !== '') {
+    textQuery = `websearch_to_tsquery('english', ${bind(q)})`;
+    clauses.push(`dm.search_vector @@ ${textQuery}`);
+  }
+
+  // Website health: a dApp is flagged after several failed checks in a row.
+  // Never-checked dApps count as healthy.
+  if (!omit.includes('healthy') && query.healthy !== undefined && query.healthy !== '') {
+    if (query.healthy !== 'true' && query.healthy !== 'false') {
+      invalid.healthy = query.healthy;
+    } else {
+      clauses.push(`${query.healthy === 'true' ? 'NOT ' : ''}EXISTS (SELECT 1 FROM public.dapp_website_health wh
+                    WHERE wh.dapp_id = dm.dapp_id AND wh.flagged_at IS NOT NULL)`);
+    }
+  }
+
+  // Listing status: never omitted, so facet counts cover the same dApps as
+  // the results.
+  clauses.push(activeDappSQL('dm'));
+
+  const error = Object.keys(invalid).length > 0
+    ? { success: false, error: 'Invalid filter values', invalid }
+    : null;
+
+  return { clauses, params, bind, textQuery, nameSimilarity, error };
+}
+
+/**
+ * Joins WHERE clauses with AND, returning '' when there are none.
+ *
+ * @param {string[]} clauses
+ * @returns {string}
+ */
+function toWhereSQL(clauses) {
+  return clauses.length > 0 ? 'WHERE ' + clauses.join(' AND ') : '';
+}
+
+module.exports = {
+  TOKEN_KEY_SQL,
+  parseListParam,
+  numericTextSQL,
+  metricsBlockSQL,
+  listTokensSQL,
+  buildDappFilters,
+  toWhereSQL
+};
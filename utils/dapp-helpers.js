@@ -1,5 +1,14 @@
 const crypto = require('crypto');
 
+/** Longest generated slug, before any -2, -3 ... suffix. */
+const MAX_SLUG_LENGTH = 80;
+
+/** Unique index on dapps_main.slug (migrations/008_dapps_main_slug.sql). */
+const SLUG_INDEX = 'idx_dapps_main_slug';
+
+/** Inserts tried by insertWithUniqueSlug() before giving up. */
+const MAX_SLUG_ATTEMPTS = 5;
+
 /**
  * Generate a deterministic integer dapp_id from a URL using MD5 hash.
  * This mirrors the logic already used by /api/dapps and keeps IDs stable.
@@ -38,7 +47,79 @@ function cleanWebsiteUrl(raw) {
   }
 }
 
+/**
+ * Turn a dApp name into a URL slug: accents stripped, lower-cased, runs of
+ * other characters replaced by '-'. Mirrors the backfill in
+ * migrations/008_dapps_main_slug.sql.
+ *
+ * @param {string} name
+ * @returns {string} e.g. 'Uniswap V3' -> 'uniswap-v3'; 'dapp' if nothing is left
+ */
+function slugify(name) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'dapp';
+}
+
+/**
+ * Generate a slug for a new dApp that no dapps_main row uses yet: the
+ * slugified name, or the first free name-2, name-3, ...
+ *
+ * @param {Object} client - pg client (or db) to query on, e.g. inside the insert transaction
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function generateUniqueSlug(client, name) {
+  const base = slugify(name);
+  const taken = await client.query(
+    `SELECT slug FROM public.dapps_main WHERE slug = $1 OR slug LIKE $2`,
+    [base, `${base}-%`]
+  );
+  const used = new Set(taken.rows.map(row => row.slug));
+
+  if (!used.has(base)) return base;
+  let n = 2;
+  while (used.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/**
+ * Insert a new dApp under a unique slug. generateUniqueSlug() only sees
+ * committed rows, so two inserts of the same name can pick the same slug;
+ * the loser fails on the unique index and is retried with the next free
+ * slug. Each attempt runs in a savepoint, so a failed one leaves the
+ * surrounding transaction usable.
+ *
+ * @param {Object} client - pg client inside an open transaction
+ * @param {string} name
+ * @param {Function} insert - async (slug) => result, runs the INSERT
+ * @returns {Promise<{ slug: string, result: * }>}
+ */
+async function insertWithUniqueSlug(client, name, insert) {
+  for (let attempt = 1; ; attempt++) {
+    const slug = await generateUniqueSlug(client, name);
+    await client.query('SAVEPOINT dapp_slug');
+    try {
+      const result = await insert(slug);
+      await client.query('RELEASE SAVEPOINT dapp_slug');
+      return { slug, result };
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT dapp_slug');
+      const slugTaken = err.code === '23505' && err.constraint === SLUG_INDEX;
+      if (!slugTaken || attempt === MAX_SLUG_ATTEMPTS) throw err;
+    }
+  }
+}
+
 module.exports = {
   generateDappId,
-  cleanWebsiteUrl
+  cleanWebsiteUrl,
+  slugify,
+  generateUniqueSlug,
+  insertWithUniqueSlug
 };
@@ -0,0 +1,135 @@
+/**
+ * utils/dapp-lists.js
+ *
+ * Storage format of the list columns of dapps_main
+ * (migrations/009_dapps_main_list_columns.sql):
+ *   chains, categories, tags  TEXT[]  plain names, e.g. ['Ethereum', 'Polygon']
+ *   social_links              JSONB   array of link objects,
+ *                                     e.g. [{ title: 'Twitter', url: '...' }]
+ *
+ * Write paths convert their input with resolveDappLists() (tags,
+ * social_links) and the taxonomy (chains, categories), so readers get the
+ * arrays from the pg driver as stored.
+ * The same parsers re-read the TEXT values written before the migration
+ * (scripts/backfill-dapp-lists.js), which used comma-separated text, JSON
+ * array strings and bare JSON objects ('{"name":"dex"},{"name":"amm"}').
+ */
+
+/**
+ * Reads a JSON list value: a JSON array, or bare objects separated by commas
+ * (wrapped in [] before parsing).
+ *
+ * @param {string} text - Trimmed value starting with '[' or '{'
+ * @returns {Array|null} null when the value is not valid JSON
+ */
+function parseJsonList(text) {
+  try {
+    const parsed = JSON.parse(text.startsWith('[') ? text : `[${text}]`);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turns a chains/categories/tags value into a list of names.
+ *
+ * Accepts an array, a JSON array string, bare JSON objects or
+ * comma-separated text. Items are strings or objects with a string `name`
+ * (the legacy tag format). Names are trimmed, empty ones dropped and
+ * duplicates (ignoring case) dropped keeping the first.
+ *
+ * @param {*} value
+ * @returns {string[]|null} [] for null/empty input, null when the value is
+ *   malformed JSON or holds anything but names
+ */
+function parseNameList(value) {
+  if (value === undefined || value === null) return [];
+
+  let items = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text === '' || text === 'null') return [];
+    if (text.startsWith('[') || text.startsWith('{')) {
+      items = parseJsonList(text);
+      if (items === null) return null;
+    } else if (/[[\]{}"]/.test(text)) {
+      // Comma-separated text with JSON punctuation is a mangled JSON value.
+      return null;
+    } else {
+      items = text.split(',');
+    }
+  }
+  if (!Array.isArray(items)) return null;
+
+  const names = [];
+  const seen = new Set();
+  for (const item of items) {
+    const name = item && typeof item === 'object' ? item.name : item;
+    if (typeof name !== 'string') return null;
+
+    const trimmed = name.trim();
+    if (trimmed !== '' && !seen.has(trimmed.toLowerCase())) {
+      seen.add(trimmed.toLowerCase());
+      names.push(trimmed);
+    }
+  }
+  return names;
+}
+
+/**
+ * Turns a social_links value into an array of link objects.
+ *
+ * Accepts an array of objects, a single object, a JSON array string or bare
+ * JSON objects.
+ *
+ * @param {*} value
+ * @returns {Object[]|null} [] for null/empty input, null when the value is
+ *   malformed JSON or holds anything but objects
+ */
+function parseSocialLinks(value) {
+  if (value === undefined || value === null) return [];
+
+  let items = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text === '' || text === 'null') return [];
+    items = text.startsWith('[') || text.startsWith('{') ? parseJsonList(text) : null;
+    if (items === null) return null;
+  }
+  if (!Array.isArray(items)) items = [items];
+
+  const isLink = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+  return items.every(isLink) ? items : null;
+}
+
+/**
+ * Converts the tags and social_links of a dApp being written (add-dapp,
+ * submissions) to their stored format.
+ *
+ * @param {{ tags: *, social_links: * }} input
+ * @returns {{ tags: string[], socialLinks: Object[], error: Object|null }}
+ *   `error` is a ready-to-send 400 body naming the fields that do not parse.
+ */
+function resolveDappLists(input) {
+  const tags = parseNameList(input.tags);
+  const socialLinks = parseSocialLinks(input.social_links);
+
+  const invalid = {};
+  if (tags === null) invalid.tags = 'must be a list of tag names';
+  if (socialLinks === null) invalid.social_links = 'must be a list of link objects';
+
+  return {
+    tags: tags || [],
+    socialLinks: socialLinks || [],
+    error: Object.keys(invalid).length > 0
+      ? { success: false, error: 'Invalid tags or social_links', invalid }
+      : null
+  };
+}
+
+module.exports = {
+  parseNameList,
+  parseSocialLinks,
+  resolveDappLists
+};
@@ -0,0 +1,240 @@
+/**
+ * utils/dapp-revisions.js
+ *
+ * Edits to existing listings and their change history (table
+ * `dapp_revisions`, migrations/010_dapp_revisions.sql). Every edit goes
+ * through saveDappChanges(), which updates dapps_main and records the
+ * before/after value of each changed column as one revision, so any earlier
+ * state can be reconstructed by valuesAtRevision(). runDappEdit() wraps it
+ * in the transaction, row lock and duplicate checks every edit route uses.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const db = require('../db');
+const { findDuplicateDapp } = require('./dapp-fields');
+
+/**
+ * dapps_main columns tracked by revisions (`link` follows `website`), including
+ * the listing status (utils/dapp-status.js), so delistings show up in the
+ * history and can be reverted.
+ */
+const REVISION_COLUMNS = [
+  'name', 'description', 'full_description', 'logo', 'website', 'link',
+  'chains', 'categories', 'social_links', 'tags', 'listing_status', 'status_reason'
+];
+
+/** Columns of a listing returned after an edit. */
+const LISTING_COLUMNS = ['dapp_id', 'slug'].concat(REVISION_COLUMNS, 'status_changed_at', 'updated_at');
+
+/** dapp_revisions columns returned by the history and edit responses. */
+const REVISION_FIELDS = 'revision_id, dapp_id, actor, client_id, changes, reverted_to, created_at';
+
+/**
+ * Loads a listing and locks its row until the transaction ends, so
+ * concurrent edits are diffed and recorded one after the other.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {number|string} dappId
+ * @returns {Promise<Object|null>} LISTING_COLUMNS of the listing, or null when it does not exist
+ */
+async function lockDapp(client, dappId) {
+  const result = await client.query(
+    `SELECT ${LISTING_COLUMNS.join(', ')} FROM public.dapps_main WHERE dapp_id = $1 FOR UPDATE`,
+    [dappId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Writes new column values to a listing locked by lockDapp() and records the
+ * columns that actually changed as one revision. Nothing is written when no
+ * value differs. status_changed_at is set when the status or its reason changes.
+ *
+ * @param {Object} client - pg client inside the same transaction
+ * @param {Object} current - From lockDapp()
+ * @param {Object} values - dapps_main column -> new value (REVISION_COLUMNS only)
+ * @param {Object} meta
+ * @param {string} meta.actor - Who made the edit
+ * @param {string|null} [meta.clientId] - API client whose token was used
+ * @param {number|null} [meta.revertedTo] - Revision restored by a revert
+ * @returns {Promise<{ dapp: Object, revision: Object|null }>}
+ *   The listing after the edit; `revision` is null when nothing changed.
+ */
+async function saveDappChanges(client, current, values, { actor, clientId = null, revertedTo = null }) {
+  const changes = {};
+  REVISION_COLUMNS.forEach(column => {
+    if (values[column] !== undefined && !isDeepStrictEqual(current[column], values[column])) {
+      changes[column] = { before: current[column], after: values[column] };
+    }
+  });
+
+  const columns = Object.keys(changes);
+  if (columns.length === 0) return { dapp: current, revision: null };
+
+  const params = [current.dapp_id];
+  // Column names come from REVISION_COLUMNS, never from the request.
+  const assignments = columns.map(column => {
+    const value = changes[column].after;
+    params.push(column === 'social_links' ? JSON.stringify(value) : value);
+    return `${column} = $${params.length}`;
+  });
+  if (changes.listing_status || changes.status_reason) {
+    assignments.push('status_changed_at = NOW()');
+  }
+
+  const updated = await client.query(
+    `UPDATE public.dapps_main
+     SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE dapp_id = $1
+     RETURNING ${LISTING_COLUMNS.join(', ')}`,
+    params
+  );
+
+  const revision = await client.query(
+    `INSERT INTO public.dapp_revisions (dapp_id, actor, client_id, changes, reverted_to)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${REVISION_FIELDS}`,
+    [current.dapp_id, actor, clientId, JSON.stringify(changes), revertedTo]
+  );
+
+  return { dapp: updated.rows[0], revision: revision.rows[0] };
+}
+
+/**
+ * Column values that restore a listing to its state right after a revision:
+ * for every column changed since, the `before` value of the first later
+ * revision that changed it.
+ *
+ * @param {Object} client - pg client (or db) to query on
+ * @param {number|string} dappId
+ * @param {number|string} revisionId
+ * @returns {Promise<Object|null>} column -> value (empty when the revision is
+ *   the latest), or null when the dApp has no such revision
+ */
+async function valuesAtRevision(client, dappId, revisionId) {
+  const exists = await client.query(
+    'SELECT 1 FROM public.dapp_revisions WHERE dapp_id = $1 AND revision_id = $2',
+    [dappId, revisionId]
+  );
+  if (exists.rows.length === 0) return null;
+
+  const later = await client.query(
+    `SELECT changes FROM public.dapp_revisions
+     WHERE dapp_id = $1 AND revision_id > $2
+     ORDER BY revision_id`,
+    [dappId, revisionId]
+  );
+
+  const values = {};
+  later.rows.forEach(({ changes }) => {
+    Object.keys(changes).forEach(column => {
+      if (REVISION_COLUMNS.includes(column) && !(column in values)) {
+        values[column] = changes[column].before;
+      }
+    });
+  });
+  return values;
+}
+
+/**
+ * A page of a listing's revisions, newest first.
+ *
+ * @param {number|string} dappId
+ * @param {{ limit: number, offset: number }} page
+ * @returns {Promise<{ revisions: Object[], total: number }>}
+ */
+async function loadRevisions(dappId, { limit, offset }) {
+  const [revisions, count] = await Promise.all([
+    db.query(
+      `SELECT ${REVISION_FIELDS} FROM public.dapp_revisions
+       WHERE dapp_id = $1
+       ORDER BY revision_id DESC
+       LIMIT $2 OFFSET $3`,
+      [dappId, limit, offset]
+    ),
+    db.query('SELECT COUNT(*)::int AS total FROM public.dapp_revisions WHERE dapp_id = $1', [dappId])
+  ]);
+  return { revisions: revisions.rows, total: count.rows[0].total };
+}
+
+/**
+ * Resolves who is making an edit: the request's `actor`, or the API client of
+ * the token when none is given.
+ *
+ * @param {Object} req - Express request
+ * @returns {{ actor: string|null, clientId: string|null, error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function resolveActor(req) {
+  const clientId = req.user && req.user.clientId ? String(req.user.clientId) : null;
+  const actor = req.body ? req.body.actor : undefined;
+
+  if (actor !== undefined && (typeof actor !== 'string' || actor.trim() === '')) {
+    return { actor: null, clientId, error: { success: false, error: 'actor must be a non-empty string' } };
+  }
+  if (actor === undefined && !clientId) {
+    return { actor: null, clientId, error: { success: false, error: 'actor is required' } };
+  }
+  return { actor: actor !== undefined ? actor.trim() : clientId, clientId, error: null };
+}
+
+/**
+ * Runs one edit of a listing in a transaction: locks the row, builds the new
+ * values from its current state, re-runs the duplicate checks when the
+ * website or name changes and saves the changes as a revision.
+ *
+ * @param {number|string} dappId
+ * @param {Object} meta - actor, clientId and revertedTo for saveDappChanges()
+ * @param {Function} buildValues - async (client, current) => { values } or
+ *   { status, body } to abort with that response
+ * @param {Function} [onSaved] - async (client, { dapp, revision }), run in
+ *   the same transaction after a successful save
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function runDappEdit(dappId, meta, buildValues, onSaved) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const outcome = await (async () => {
+      const current = await lockDapp(client, dappId);
+      if (!current) {
+        return { status: 404, body: { success: false, error: 'Dapp not found' } };
+      }
+
+      const built = await buildValues(client, current);
+      if (!built.values) return built;
+      const { values } = built;
+
+      // Only a changed website or name can introduce a duplicate.
+      const duplicate = await findDuplicateDapp(client, {
+        website: values.website !== undefined && values.website !== current.website ? values.website : undefined,
+        name: values.name !== undefined && values.name !== current.name ? values.name : undefined
+      }, current.dapp_id);
+      if (duplicate) {
+        return { status: 409, body: duplicate };
+      }
+
+      const { dapp, revision } = await saveDappChanges(client, current, values, meta);
+      if (onSaved) await onSaved(client, { dapp, revision });
+      return { status: 200, body: { success: true, data: dapp, revision } };
+    })();
+
+    await client.query(outcome.status === 200 ? 'COMMIT' : 'ROLLBACK');
+    return outcome;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  resolveActor,
+  runDappEdit,
+  lockDapp,
+  saveDappChanges,
+  valuesAtRevision,
+  loadRevisions
+};
@@ -0,0 +1,189 @@
+/**
+ * utils/dapp-sort.js
+ *
+ * Sort orders for dApp listings (?sort=&order= on /dapp-search).
+ *
+ * Valid sort keys:
+ *   rating        reviews_make.ratings            default: desc
+ *   name          dapps_main.name (case-folded)   default: asc
+ *   newest        dapps_main.created_at           default: desc
+ *   updated       dapps_main.updated_at           default: desc
+ *   boost         dapp_boosts.boost_point         default: desc
+ *   uaw           aggregated_metrics.uaw          default: desc
+ *   volume        aggregated_metrics.volume       default: desc
+ *   transactions  aggregated_metrics.transactions default: desc
+ *   relevance     full-text rank, requires q      default: desc
+ *   featured      blended score (see below)       default: desc
+ *
+ * `featured` scores every dApp as
+ *   w_rating * rating/5 + w_boost * boost + w_activity * activity
+ * where boost and activity (mean of uaw, transactions and volume) are
+ * log-scaled against the highest value across all dApps, so every component
+ * lies in 0-1. Weights come from config.search.featuredWeights. Rows carry
+ * `featured_score` and a `score_breakdown` of the normalised components.
+ *
+ * Sorts in which paid boost points decide placement (`boost`, `featured`)
+ * label every row with `sponsored: true|false` so the UI can disclose it.
+ *
+ * `order=asc|desc` overrides the default direction. NULLs (unrated dApps,
+ * missing metrics) always sort last, and every order ends with dm.dapp_id as a
+ * deterministic tiebreaker so equal values never shuffle between pages.
+ *
+ * Expressions assume dapps_main is aliased `dm` and reviews_make `rm`; keys
+ * that need another table declare the LEFT JOIN to add.
+ */
+
+const config = require('../config');
+const { numericTextSQL } = require('./dapp-filters');
+const { keysetOrderBy } = require('./dapp-cursor');
+
+const METRICS_JOIN = 'LEFT JOIN aggregated_metrics am ON am.dapp_id = dm.dapp_id';
+const BOOSTS_JOIN = 'LEFT JOIN dapp_boosts db ON db.dapp_id = dm.dapp_id';
+
+/** Select-list label for rows whose placement depends on paid boost points. */
+const SPONSORED_COLUMN = 'COALESCE(db.boost_point, 0) > 0 AS sponsored';
+
+/**
+ * Scales a non-negative value into 0-1 as ln(1 + value) / ln(1 + max), so a
+ * few very large dApps do not flatten everyone else to ~0. Missing values
+ * score 0.
+ *
+ * @param {string} valueSQL
+ * @param {string} maxSQL - Uncorrelated subquery returning the maximum
+ * @returns {string}
+ */
+function logScaledSQL(valueSQL, maxSQL) {
+  return `COALESCE(LN(1 + GREATEST((${valueSQL})::float, 0)) / NULLIF(LN(1 + GREATEST((${maxSQL})::float, 0)), 0), 0)`;
+}
+
+/** Normalised (0-1) components of the featured score. */
+const FEATURED_COMPONENTS = {
+  rating: 'COALESCE(rm.ratings::float, 0) / 5',
+  boost: logScaledSQL('db.boost_point', '(SELECT MAX(boost_point) FROM dapp_boosts)'),
+  activity: '(' + ['uaw', 'transactions', 'volume']
+    .map(column => logScaledSQL(
+      numericTextSQL(`am.${column}`),
+      `(SELECT MAX(${numericTextSQL(`amx.${column}`)}) FROM aggregated_metrics amx)`
+    ))
+    .join(' + ') + ') / 3'
+};
+
+/**
+ * Featured score expression for a set of weights.
+ *
+ * @param {{ rating: number, boost: number, activity: number }} weights
+ * @returns {string}
+ */
+function featuredScoreSQL(weights) {
+  return '(' + Object.keys(FEATURED_COMPONENTS)
+    .map(name => `${Number(weights[name])} * ${FEATURED_COMPONENTS[name]}`)
+    .join(' + ') + ')';
+}
+
+/** Score breakdown columns for featured rows. */
+function featuredColumns(weights) {
+  const breakdown = Object.keys(FEATURED_COMPONENTS)
+    .map(name => `'${name}', ${FEATURED_COMPONENTS[name]}`)
+    .join(', ');
+  return [
+    `${featuredScoreSQL(weights)}::float AS featured_score`,
+    `json_build_object(${breakdown}) AS score_breakdown`,
+    SPONSORED_COLUMN
+  ];
+}
+
+/**
+ * Sort key definitions. `expression` is either SQL or a function of the
+ * listing context ({ textQuery }) for keys that depend on bound parameters.
+ * `type` is the kind of value it sorts by, checked on cursors
+ * (utils/dapp-cursor.js).
+ * `joins` are the LEFT JOINs the key needs; `columns` are extra select-list
+ * entries it adds to every row.
+ */
+const SORT_KEYS = {
+  rating: { expression: 'rm.ratings', direction: 'desc', type: 'number' },
+  name: { expression: 'LOWER(dm.name)', direction: 'asc', type: 'text' },
+  newest: { expression: 'dm.created_at', direction: 'desc', type: 'timestamp' },
+  updated: { expression: 'dm.updated_at', direction: 'desc', type: 'timestamp' },
+  boost: {
+    expression: 'COALESCE(db.boost_point, 0)',
+    direction: 'desc',
+    type: 'number',
+    joins: [BOOSTS_JOIN],
+    columns: () => [SPONSORED_COLUMN]
+  },
+  uaw: { expression: numericTextSQL('am.uaw'), direction: 'desc', type: 'number', joins: [METRICS_JOIN] },
+  volume: { expression: numericTextSQL('am.volume'), direction: 'desc', type: 'number', joins: [METRICS_JOIN] },
+  transactions: { expression: numericTextSQL('am.transactions'), direction: 'desc', type: 'number', joins: [METRICS_JOIN] },
+  relevance: {
+    expression: ({ textQuery }) => `ts_rank_cd(dm.search_vector, ${textQuery})`,
+    direction: 'desc',
+    type: 'number',
+    requiresTextQuery: true
+  },
+  featured: {
+    expression: ({ weights }) => featuredScoreSQL(weights),
+    direction: 'desc',
+    type: 'number',
+    joins: [BOOSTS_JOIN, METRICS_JOIN],
+    columns: ({ weights }) => featuredColumns(weights)
+  }
+};
+
+/**
+ * Resolves the `sort` and `order` query parameters into SQL.
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} context
+ * @param {string|null} context.textQuery - Bound tsquery expression from
+ *   buildDappFilters(), or null when there is no `q`
+ * @returns {{ key: string, direction: string, expression: string,
+ *             keys: Array<{ expression: string, direction: string, type: string }>,
+ *             orderBy: string, joins: string[], columns: string[],
+ *             weights: Object|null, error: Object|null }}
+ *   `keys` feeds keyset pagination (utils/dapp-cursor.js).
+ *   `weights` are the featured weights in effect (sort=featured only).
+ *   `error` is a ready-to-send 400 body for an unknown key or direction.
+ */
+function resolveSort(query, { textQuery = null } = {}) {
+  const key = query.sort || (textQuery ? 'relevance' : 'rating');
+
+  if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(SORT_KEYS, key)) {
+    return { error: { success: false, error: `Invalid sort. Must be one of: ${Object.keys(SORT_KEYS).join(', ')}` } };
+  }
+
+  const spec = SORT_KEYS[key];
+  if (spec.requiresTextQuery && !textQuery) {
+    return { error: { success: false, error: `sort=${key} requires a q parameter` } };
+  }
+
+  const direction = query.order ? String(query.order).toLowerCase() : spec.direction;
+  if (direction !== 'asc' && direction !== 'desc') {
+    return { error: { success: false, error: 'Invalid order. Must be one of: asc, desc' } };
+  }
+
+  const weights = key === 'featured' ? { ...config.search.featuredWeights } : null;
+  const context = { textQuery, weights };
+  const expression = typeof spec.expression === 'function'
+    ? spec.expression(context)
+    : spec.expression;
+
+  const keys = [{ expression, direction, type: spec.type }];
+
+  return {
+    key,
+    direction,
+    expression,
+    keys,
+    orderBy: keysetOrderBy(keys),
+    joins: spec.joins || [],
+    columns: spec.columns ? spec.columns(context) : [],
+    weights,
+    error: null
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  resolveSort
+};
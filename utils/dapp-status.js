@@ -0,0 +1,79 @@
+/**
+ * utils/dapp-status.js
+ *
+ * Listing status of a dApp (dapps_main.listing_status, migrations/011):
+ *   active    listed everywhere (default)
+ *   hidden    left out of listings and suggestions; the detail is still served
+ *   delisted  removed for cause (rug pull, malicious); the detail returns
+ *             410 Gone with the reason
+ *   archived  soft-deleted, e.g. a project that shut down; left out of
+ *             listings, the detail is still served
+ *
+ * Listings built on buildDappFilters() (utils/dapp-filters.js) and the
+ * remaining listing queries only return active dApps (activeDappSQL());
+ * moderators list the others with GET /api/moderation/dapps.
+ */
+
+const LISTING_STATUSES = ['active', 'hidden', 'delisted', 'archived'];
+
+const ACTIVE_STATUS = 'active';
+const DELISTED_STATUS = 'delisted';
+
+/** Statuses that need a reason, because it is shown to clients. */
+const REASON_REQUIRED = [DELISTED_STATUS];
+
+/** Longest reason accepted. */
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * SQL condition that is true for active dApps.
+ *
+ * @param {string} [alias] - dapps_main alias, e.g. 'dm'; none when the
+ *   table is not aliased
+ * @returns {string}
+ */
+function activeDappSQL(alias) {
+  return `${alias ? `${alias}.` : ''}listing_status = '${ACTIVE_STATUS}'`;
+}
+
+/**
+ * Validates a status change and converts it to the dapps_main columns. An
+ * active dApp has no reason, so any reason given with 'active' is dropped.
+ *
+ * @param {*} status
+ * @param {*} reason
+ * @returns {{ values: { listing_status: string, status_reason: string|null }|null,
+ *             error: Object|null }}
+ *   `error` is a ready-to-send 400 body.
+ */
+function resolveStatusChange(status, reason) {
+  const fail = error => ({ values: null, error: { success: false, ...error } });
+
+  if (!LISTING_STATUSES.includes(status)) {
+    return fail({ error: 'Invalid status', allowed: LISTING_STATUSES });
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    return fail({ error: 'reason must be a string' });
+  }
+
+  const trimmed = typeof reason === 'string' && reason.trim() !== '' ? reason.trim() : null;
+  if (trimmed && trimmed.length > MAX_REASON_LENGTH) {
+    return fail({ error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+  }
+  if (!trimmed && REASON_REQUIRED.includes(status)) {
+    return fail({ error: `A reason is required for status '${status}'` });
+  }
+
+  return {
+    values: { listing_status: status, status_reason: status === ACTIVE_STATUS ? null : trimmed },
+    error: null
+  };
+}
+
+module.exports = {
+  LISTING_STATUSES,
+  ACTIVE_STATUS,
+  DELISTED_STATUS,
+  activeDappSQL,
+  resolveStatusChange
+};
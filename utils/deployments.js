@@ -0,0 +1,280 @@
+/**
+ * utils/deployments.js
+ *
+ * Per-chain deployments of a dApp (table `dapp_deployments`, see
+ * migrations/007_dapp_deployments.sql): one entry per chain with the contract
+ * addresses, block explorer links and deployment date.
+ *
+ * Chains are resolved through the taxonomy (utils/taxonomy.js), so a
+ * deployment always refers to a canonical chain. Hex (EVM) addresses are
+ * lower-cased by normalizeContractAddress() on write and lookup, so a
+ * checksummed address finds the same deployment.
+ *
+ * Each deployment can also carry the owner wallet of its contracts
+ * (migrations/014_dapp_deployment_owners.sql), set by moderators and used to
+ * verify wallet ownership claims (utils/dapp-claims.js).
+ */
+
+const db = require('../db');
+const { resolveTerm } = require('./taxonomy');
+
+/** Longest accepted contract address (covers EVM, Solana, Cosmos, ...). */
+const MAX_ADDRESS_LENGTH = 128;
+
+/** Per-deployment limits on the submitted lists. */
+const MAX_ADDRESSES_PER_DEPLOYMENT = 50;
+const MAX_EXPLORER_URLS_PER_DEPLOYMENT = 10;
+
+/**
+ * Canonical form of a contract address: trimmed, and lower-cased when it is
+ * a 0x-prefixed hex address. Returns null for values that cannot be an
+ * address (empty, too long, containing whitespace or '/').
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function normalizeContractAddress(value) {
+  if (typeof value !== 'string') return null;
+  const address = value.trim();
+  if (address === '' || address.length > MAX_ADDRESS_LENGTH || /[\s/]/.test(address)) {
+    return null;
+  }
+  return /^0x[0-9a-f]+$/i.test(address) ? address.toLowerCase() : address;
+}
+
+/**
+ * Canonical form of an EVM wallet address: trimmed and lower-cased. Returns
+ * null for anything but a 0x-prefixed 20-byte hex address.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function normalizeWalletAddress(value) {
+  if (typeof value !== 'string' || !/^0x[0-9a-f]{40}$/i.test(value.trim())) return null;
+  return value.trim().toLowerCase();
+}
+
+/**
+ * Whether a value is an absolute http(s) URL.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a value is an existing YYYY-MM-DD date (rejects e.g. 2024-02-30).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validates submitted deployments and resolves their chains.
+ *
+ * Input: [{ chain, contract_addresses?, explorer_urls?, deployed_at? }], where
+ * `chain` is a taxonomy name, slug or alias and `deployed_at` a YYYY-MM-DD
+ * date. Each chain may appear once.
+ *
+ * @param {{ chains: Object }} taxonomy - From loadTaxonomy()
+ * @param {*} input
+ * @returns {{ deployments: Array<{ chain_id: number, chain: string,
+ *             contract_addresses: string[], explorer_urls: string[],
+ *             deployed_at: string|null }>, error: Object|null }}
+ *   `error` is a ready-to-send 400 body; `invalid` maps the offending
+ *   entry's index to its problems.
+ */
+function resolveDeployments(taxonomy, input) {
+  if (!Array.isArray(input)) {
+    return { deployments: [], error: { success: false, error: 'deployments must be an array' } };
+  }
+
+  const deployments = [];
+  const invalid = {};
+  const seenChains = new Set();
+
+  input.forEach((item, i) => {
+    const problems = [];
+    const entry = item && typeof item === 'object' ? item : {};
+
+    const chain = typeof entry.chain === 'string' ? resolveTerm(taxonomy.chains, entry.chain) : null;
+    if (!chain) {
+      problems.push('unknown chain');
+    } else if (seenChains.has(chain.id)) {
+      problems.push(`duplicate chain ${chain.name}`);
+    } else {
+      seenChains.add(chain.id);
+    }
+
+    const rawAddresses = entry.contract_addresses === undefined ? [] : entry.contract_addresses;
+    const addresses = Array.isArray(rawAddresses) ? rawAddresses.map(normalizeContractAddress) : [null];
+    if (addresses.includes(null)) {
+      problems.push('contract_addresses must be an array of addresses');
+    } else if (addresses.length > MAX_ADDRESSES_PER_DEPLOYMENT) {
+      problems.push(`at most ${MAX_ADDRESSES_PER_DEPLOYMENT} contract_addresses`);
+    }
+
+    const explorerUrls = entry.explorer_urls === undefined ? [] : entry.explorer_urls;
+    if (!Array.isArray(explorerUrls) || !explorerUrls.every(isHttpUrl)) {
+      problems.push('explorer_urls must be an array of http(s) URLs');
+    } else if (explorerUrls.length > MAX_EXPLORER_URLS_PER_DEPLOYMENT) {
+      problems.push(`at most ${MAX_EXPLORER_URLS_PER_DEPLOYMENT} explorer_urls`);
+    }
+
+    const deployedAt = entry.deployed_at === undefined || entry.deployed_at === null ? null : entry.deployed_at;
+    if (deployedAt !== null && !isCalendarDate(deployedAt)) {
+      problems.push('deployed_at must be a YYYY-MM-DD date');
+    }
+
+    if (problems.length > 0) {
+      invalid[i] = problems;
+      return;
+    }
+
+    deployments.push({
+      chain_id: chain.id,
+      chain: chain.name,
+      contract_addresses: Array.from(new Set(addresses)),
+      explorer_urls: Array.from(new Set(explorerUrls.map(url => url.trim()))),
+      deployed_at: deployedAt
+    });
+  });
+
+  return {
+    deployments,
+    error: Object.keys(invalid).length > 0
+      ? { success: false, error: 'Invalid deployments', invalid }
+      : null
+  };
+}
+
+/**
+ * Replaces a dApp's deployments. Run inside the caller's transaction.
+ * Chains that stay listed keep their owner wallet; it is only set through
+ * setDeploymentOwner().
+ *
+ * @param {Object} client - pg client (or db) to run the queries on
+ * @param {number|string} dappId
+ * @param {Object[]} deployments - From resolveDeployments()
+ * @returns {Promise<void>}
+ */
+async function replaceDeployments(client, dappId, deployments) {
+  await client.query(
+    'DELETE FROM public.dapp_deployments WHERE dapp_id = $1 AND NOT (chain_id = ANY($2::int[]))',
+    [dappId, deployments.map(deployment => deployment.chain_id)]
+  );
+
+  for (const deployment of deployments) {
+    await client.query(
+      `INSERT INTO public.dapp_deployments
+         (dapp_id, chain_id, contract_addresses, explorer_urls, deployed_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (dapp_id, chain_id) DO UPDATE SET
+         contract_addresses = EXCLUDED.contract_addresses,
+         explorer_urls = EXCLUDED.explorer_urls,
+         deployed_at = EXCLUDED.deployed_at,
+         updated_at = NOW()`,
+      [dappId, deployment.chain_id, deployment.contract_addresses, deployment.explorer_urls, deployment.deployed_at]
+    );
+  }
+}
+
+/**
+ * Sets or clears the owner wallet of one deployment. A contract address of
+ * the deployment is refused: contracts cannot sign a claim message.
+ *
+ * @param {number|string} dappId
+ * @param {number} chainId
+ * @param {string|null} ownerAddress - From normalizeWalletAddress(), or null to clear
+ * @param {string} actor - Who is setting it
+ * @returns {Promise<{ found: boolean, error: Object|null }>}
+ *   `found` is false when the dApp has no deployment on the chain; `error`
+ *   is a ready-to-send 400 body.
+ */
+async function setDeploymentOwner(dappId, chainId, ownerAddress, actor) {
+  const result = await db.query(
+    `UPDATE public.dapp_deployments
+     SET owner_address = $3,
+         owner_set_by = $4,
+         owner_set_at = NOW(),
+         updated_at = NOW()
+     WHERE dapp_id = $1 AND chain_id = $2
+       AND NOT (contract_addresses @> ARRAY[$3]::text[])
+     RETURNING deployment_id`,
+    [dappId, chainId, ownerAddress, actor]
+  );
+  if (result.rows.length > 0) return { found: true, error: null };
+
+  const existing = await db.query(
+    'SELECT 1 FROM public.dapp_deployments WHERE dapp_id = $1 AND chain_id = $2',
+    [dappId, chainId]
+  );
+  if (existing.rows.length === 0) return { found: false, error: null };
+  return {
+    found: true,
+    error: { success: false, error: 'owner_address is a contract of this deployment, not a wallet' }
+  };
+}
+
+/**
+ * Deployments of several dApps, one entry per chain ordered by chain name.
+ *
+ * @param {Array<number|string>} dappIds
+ * @returns {Promise<Map<number, Array<{ chain: string, chain_slug: string,
+ *           chain_id: number, contract_addresses: string[],
+ *           explorer_urls: string[], deployed_at: string|null,
+ *           owner_address: string|null }>>>}
+ *   Keyed by dapp_id; dApps without deployments map to an empty array.
+ */
+async function loadDeploymentsForDapps(dappIds) {
+  const byDapp = new Map(dappIds.map(id => [Number(id), []]));
+  if (byDapp.size === 0) return byDapp;
+
+  const result = await db.query(
+    `SELECT d.dapp_id, c.name AS chain, c.slug AS chain_slug, d.chain_id,
+            d.contract_addresses, d.explorer_urls, d.deployed_at::text AS deployed_at,
+            d.owner_address
+     FROM public.dapp_deployments d
+     JOIN public.chains c ON c.chain_id = d.chain_id
+     WHERE d.dapp_id = ANY($1::int[])
+     ORDER BY d.dapp_id, c.name`,
+    [Array.from(byDapp.keys())]
+  );
+  result.rows.forEach(({ dapp_id, ...deployment }) => {
+    byDapp.get(dapp_id).push(deployment);
+  });
+  return byDapp;
+}
+
+/**
+ * A dApp's deployments, one entry per chain ordered by chain name.
+ *
+ * @param {number|string} dappId
+ * @returns {Promise<Object[]>} Same entries as loadDeploymentsForDapps()
+ */
+async function loadDeployments(dappId) {
+  return (await loadDeploymentsForDapps([dappId])).get(Number(dappId));
+}
+
+module.exports = {
+  normalizeContractAddress,
+  normalizeWalletAddress,
+  resolveDeployments,
+  replaceDeployments,
+  setDeploymentOwner,
+  loadDeploymentsForDapps,
+  loadDeployments
+};
@@ -0,0 +1,84 @@
+/**
+ * utils/metric-snapshots.js
+ *
+ * Periodically copies aggregated_metrics into metric_snapshots
+ * (migrations/006_metric_snapshots.sql) so metric history and growth can be
+ * reported by routes/metrics.js.
+ *
+ * The schedule runs inside the API process (started from bin/www) every
+ * config.metrics.snapshotIntervalMinutes. A capture is skipped while a
+ * snapshot younger than half the interval exists, so restarts and several
+ * API instances do not write duplicate snapshots.
+ */
+
+const db = require('../db');
+const config = require('../config');
+const { numericTextSQL } = require('./dapp-filters');
+
+/** aggregated_metrics columns copied into each snapshot. */
+const SNAPSHOT_METRICS = ['balance', 'transactions', 'uaw', 'volume'];
+
+let snapshotTimer = null;
+
+/**
+ * Captures one snapshot of every listed dApp's current metrics, unless a
+ * snapshot was taken within `minGapMinutes`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minGapMinutes] - Defaults to half the configured interval
+ * @returns {Promise<number>} Number of snapshot rows written (0 when skipped)
+ */
+async function captureMetricSnapshot({ minGapMinutes = config.metrics.snapshotIntervalMinutes / 2 } = {}) {
+  const values = SNAPSHOT_METRICS.map(column => numericTextSQL(`am.${column}`)).join(', ');
+
+  // aggregated_metrics may hold several rows per dApp; one is taken per dApp.
+  const result = await db.query(
+    `INSERT INTO public.metric_snapshots (dapp_id, ${SNAPSHOT_METRICS.join(', ')})
+     SELECT DISTINCT ON (am.dapp_id) am.dapp_id, ${values}
+     FROM aggregated_metrics am
+     JOIN dapps_main dm ON dm.dapp_id = am.dapp_id
+     WHERE NOT EXISTS (
+       SELECT 1 FROM public.metric_snapshots s
+       WHERE s.captured_at > NOW() - $1::float * interval '1 minute'
+     )
+     ORDER BY am.dapp_id`,
+    [minGapMinutes]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Starts the snapshot schedule: one capture right away, then one per
+ * interval. Does nothing when the interval is 0 or the schedule is running.
+ */
+function startMetricSnapshots() {
+  const minutes = config.metrics.snapshotIntervalMinutes;
+  if (snapshotTimer || minutes <= 0) return;
+
+  const capture = () => {
+    captureMetricSnapshot().catch(err => {
+      console.error('Error capturing metric snapshot:', err.message);
+    });
+  };
+
+  capture();
+  snapshotTimer = setInterval(capture, minutes * 60 * 1000);
+  snapshotTimer.unref();
+}
+
+/**
+ * Stops the snapshot schedule.
+ */
+function stopMetricSnapshots() {
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+}
+
+module.exports = {
+  SNAPSHOT_METRICS,
+  captureMetricSnapshot,
+  startMetricSnapshots,
+  stopMetricSnapshots
+};
@@ -0,0 +1,107 @@
+/**
+ * utils/public-address.js
+ *
+ * Guard for requests the API makes to URLs taken from listings: the website
+ * health checks (utils/website-health.js) and the claim verification file
+ * (utils/dapp-claims.js). Anyone who can add a dApp or a submission chooses
+ * those URLs, so they must not reach loopback, private (RFC 1918), shared,
+ * link-local (e.g. the 169.254.169.254 metadata service) or other
+ * non-public addresses.
+ *
+ * Hostnames are checked when they are resolved, through publicLookup()
+ * passed as the `lookup` of each request, so the address connected to is
+ * the address checked. IP literals skip the lookup and are checked with
+ * privateHostError() before every request, redirects included.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges that are not reachable on the public internet. IPv4-mapped
+ * IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+ */
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],         // "this" network
+  ['10.0.0.0', 8, 'ipv4'],        // private
+  ['100.64.0.0', 10, 'ipv4'],     // shared (carrier-grade NAT)
+  ['127.0.0.0', 8, 'ipv4'],       // loopback
+  ['169.254.0.0', 16, 'ipv4'],    // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],     // private
+  ['192.0.0.0', 24, 'ipv4'],      // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],    // private
+  ['198.18.0.0', 15, 'ipv4'],     // benchmarking
+  ['224.0.0.0', 4, 'ipv4'],       // multicast
+  ['240.0.0.0', 4, 'ipv4'],       // reserved, broadcast
+  ['::', 128, 'ipv6'],            // unspecified
+  ['::1', 128, 'ipv6'],           // loopback
+  ['fc00::', 7, 'ipv6'],          // unique local
+  ['fe80::', 10, 'ipv6'],         // link-local
+  ['ff00::', 8, 'ipv6']           // multicast
+].forEach(([address, prefix, type]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, type));
+
+/**
+ * Whether an IP address is publicly routable.
+ *
+ * @param {string} address
+ * @returns {boolean} false for anything but an IPv4/IPv6 address
+ */
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) return false;
+  return !NON_PUBLIC_RANGES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Error for a request refused because of its address.
+ *
+ * @param {string} host
+ * @param {string} address
+ * @returns {Error}
+ */
+function nonPublicAddressError(host, address) {
+  return new Error(host === address
+    ? `Refusing to connect to non-public address ${address}`
+    : `Refusing to connect to ${host}: it resolves to non-public address ${address}`);
+}
+
+/**
+ * dns.lookup() replacement for http(s) requests and axios that fails when
+ * the hostname resolves to any non-public address.
+ *
+ * @param {string} hostname
+ * @param {Object|Function} options - dns.lookup() options, or the callback
+ * @param {Function} [callback]
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = entries.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(nonPublicAddressError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Error for a URL whose host is a non-public IP literal, which no lookup
+ * would catch.
+ *
+ * @param {string|URL} url
+ * @returns {Error|null} null when the host is a hostname or a public address
+ */
+function privateHostError(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) && !isPublicAddress(host) ? nonPublicAddressError(host, host) : null;
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  privateHostError
+};
@@ -0,0 +1,277 @@
+/**
+ * utils/response-cache.js
+ *
+ * Response cache for the read-heavy listing and detail routes
+ * (/dapp-search, /api/boost/top, /api/dapps/:dapp_id,
+ * /api/dapps/:dapp_id/similar).
+ *
+ * Entries are keyed by namespace plus the normalised query parameters
+ * (normalizeParams()), so ?chain=A,B and ?chain=B&chain=A share an entry.
+ * The store is pluggable: an in-process LRU by default, Redis when
+ * config.cache.driver is 'redis' (shared by all API instances), nothing when
+ * it is 'none', or any object implementing the store interface via
+ * setCacheStore().
+ *
+ * Store interface (all methods async, values are JSON strings):
+ *   get(key) -> string|null     set(key, value, ttlSeconds)     del(key)
+ *   counter(key) -> number      incr(key) -> number
+ *
+ * Invalidation bumps a namespace's generation counter, which is part of every
+ * key, instead of deleting keys one by one; superseded entries age out through
+ * the TTL or the LRU. A response computed while an invalidation happens is
+ * saved under the generation it was looked up with and so is never served.
+ *
+ * Cache failures are logged and treated as misses: the cache must never break
+ * a request.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { parseListParam } = require('./dapp-filters');
+
+/** Response header reporting HIT, MISS or BYPASS (cache disabled). */
+const CACHE_HEADER = 'X-Cache';
+
+/** Namespaces of the cached routes. Each dApp's detail has its own, see dappNamespace(). */
+const CACHE_NAMESPACES = {
+  SEARCH: 'dapp-search',
+  BOOST_TOP: 'boost-top',
+  SIMILAR: 'similar-dapps'
+};
+
+/** Multi-value parameters whose order and repetition do not matter. */
+const LIST_PARAMS = ['chain', 'exclude_chain', 'category', 'exclude_category', 'fields', 'include'];
+
+/** Active store; undefined until first use, null when caching is disabled. */
+let store;
+
+/**
+ * In-process LRU store. A Map keeps insertion order, so re-inserting an entry
+ * on every read leaves the least recently used entry first.
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries
+ * @returns {Object} Store
+ */
+function createMemoryStore({ maxEntries }) {
+  const entries = new Map();
+  const counters = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    async counter(key) {
+      return counters.get(key) || 0;
+    },
+    async incr(key) {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    }
+  };
+}
+
+/**
+ * Redis store (the optional `redis` package). Commands fail fast instead of
+ * queueing while Redis is unreachable, so an outage degrades to cache misses
+ * rather than stalled requests.
+ *
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} [options.prefix='geode:cache:'] - Prefix of every Redis key
+ * @returns {Object} Store
+ */
+function createRedisStore({ url, prefix = 'geode:cache:' }) {
+  const { createClient } = require('redis');
+  const client = createClient({ url, disableOfflineQueue: true });
+  // The client keeps reconnecting; report an outage once, not every retry.
+  let healthy = true;
+  client.on('error', err => {
+    if (healthy) console.error('Redis cache error:', err.message);
+    healthy = false;
+  });
+  client.on('ready', () => { healthy = true; });
+  client.connect().catch(err => console.error('Redis cache connection failed:', err.message));
+
+  return {
+    async get(key) {
+      return client.isReady ? client.get(prefix + key) : null;
+    },
+    async set(key, value, ttlSeconds) {
+      if (client.isReady) await client.set(prefix + key, value, { EX: Math.max(1, Math.round(ttlSeconds)) });
+    },
+    async del(key) {
+      if (client.isReady) await client.del(prefix + key);
+    },
+    async counter(key) {
+      return client.isReady ? Number(await client.get(prefix + key)) || 0 : 0;
+    },
+    async incr(key) {
+      if (!client.isReady) throw new Error('Redis is not connected');
+      return client.incr(prefix + key);
+    }
+  };
+}
+
+/**
+ * Returns the configured store, creating it on first use.
+ *
+ * @returns {Object|null}
+ */
+function getCacheStore() {
+  if (store !== undefined) return store;
+
+  const { driver, maxEntries, redisUrl } = config.cache;
+  if (driver === 'none') {
+    store = null;
+  } else if (driver === 'redis') {
+    store = createRedisStore({ url: redisUrl });
+  } else {
+    if (driver !== 'memory') {
+      console.error(`Unknown CACHE_DRIVER '${driver}', using the in-process cache`);
+    }
+    store = createMemoryStore({ maxEntries });
+  }
+  return store;
+}
+
+/**
+ * Replaces the store, e.g. with a custom adapter. Pass null to disable caching.
+ *
+ * @param {Object|null} customStore
+ */
+function setCacheStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Canonical form of a parameter set: keys sorted, empty values dropped, list
+ * parameters split, de-duplicated and sorted.
+ *
+ * @param {Object} params - e.g. Express req.query
+ * @returns {Object}
+ */
+function normalizeParams(params) {
+  const normalized = {};
+  Object.keys(params || {}).sort().forEach(key => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (LIST_PARAMS.includes(key)) {
+      const values = Array.from(new Set(parseListParam(value))).sort();
+      if (values.length > 0) normalized[key] = values;
+    } else {
+      normalized[key] = Array.isArray(value) ? value.map(String) : String(value).trim();
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Cache namespace of one dApp's detail responses.
+ *
+ * @param {number|string} dappId
+ * @returns {string}
+ */
+function dappNamespace(dappId) {
+  return `dapp:${Number(dappId)}`;
+}
+
+/**
+ * Looks up a cached response.
+ *
+ * @param {string} namespace - A CACHE_NAMESPACES value or dappNamespace()
+ * @param {Object} params - Request parameters the response depends on
+ * @returns {Promise<{ status: 'HIT'|'MISS'|'BYPASS', hit: boolean,
+ *                     value: Object|null, save: Function }>}
+ *   On a miss, `save(body)` stores the freshly built response body in the
+ *   background.
+ */
+async function lookup(namespace, params) {
+  const activeStore = getCacheStore();
+  const miss = { status: activeStore ? 'MISS' : 'BYPASS', hit: false, value: null, save() {} };
+  if (!activeStore) return miss;
+
+  try {
+    const generation = await activeStore.counter(`gen:${namespace}`);
+    const digest = crypto.createHash('sha1').update(JSON.stringify(normalizeParams(params))).digest('hex');
+    const key = `${namespace}:${generation}:${digest}`;
+
+    const cached = await activeStore.get(key);
+    if (cached !== null && cached !== undefined) {
+      return { status: 'HIT', hit: true, value: JSON.parse(cached), save() {} };
+    }
+
+    miss.save = (body) => {
+      Promise.resolve()
+        .then(() => activeStore.set(key, JSON.stringify(body), config.cache.ttlSeconds))
+        .catch(err => console.error(`Error caching ${namespace} response:`, err.message));
+    };
+  } catch (err) {
+    console.error(`Error reading ${namespace} cache:`, err.message);
+  }
+  return miss;
+}
+
+/**
+ * Invalidates every entry of the given namespaces. Never throws.
+ *
+ * @param {string[]} namespaces
+ * @returns {Promise<void>}
+ */
+async function invalidate(namespaces) {
+  const activeStore = getCacheStore();
+  if (!activeStore) return;
+
+  await Promise.all(namespaces.map(namespace =>
+    Promise.resolve()
+      .then(() => activeStore.incr(`gen:${namespace}`))
+      .catch(err => console.error(`Error invalidating ${namespace} cache:`, err.message))
+  ));
+}
+
+/**
+ * Invalidates everything that may show a dApp after its rows changed: all
+ * listings, every dApp's recommendations and the dApp's own detail.
+ *
+ * @param {number|string} dappId
+ * @returns {Promise<void>}
+ */
+function invalidateDapp(dappId) {
+  return invalidate([
+    CACHE_NAMESPACES.SEARCH,
+    CACHE_NAMESPACES.BOOST_TOP,
+    CACHE_NAMESPACES.SIMILAR,
+    dappNamespace(dappId)
+  ]);
+}
+
+module.exports = {
+  CACHE_HEADER,
+  CACHE_NAMESPACES,
+  createMemoryStore,
+  createRedisStore,
+  getCacheStore,
+  setCacheStore,
+  normalizeParams,
+  dappNamespace,
+  lookup,
+  invalidate,
+  invalidateDapp
+};
@@ -0,0 +1,160 @@
+/**
+ * utils/search-analytics.js
+ *
+ * Captures one search_events row per /dapp-search request
+ * (migrations/004_search_events.sql) without slowing the request down.
+ *
+ * recordSearchEvent() only pushes onto an in-memory queue. The queue is
+ * written with a single multi-row INSERT once FLUSH_BATCH_SIZE events are
+ * waiting or FLUSH_INTERVAL_MS after the first queued event. Write failures
+ * are logged and the batch is dropped: analytics must never break search.
+ * If the database is unavailable the queue is capped at MAX_QUEUE_SIZE,
+ * dropping the oldest events first.
+ */
+
+const db = require('../db');
+const { parseListParam } = require('./dapp-filters');
+const { resolveTerm } = require('./taxonomy');
+
+/** Events written per INSERT. */
+const FLUSH_BATCH_SIZE = 100;
+
+/** Longest an event waits in the queue before being written. */
+const FLUSH_INTERVAL_MS = 2000;
+
+/** Upper bound on queued events while writes are failing or slow. */
+const MAX_QUEUE_SIZE = 5000;
+
+/**
+ * Query parameters recorded as filters. List filters are stored as arrays.
+ * `q` and `name` are the query text itself and are not repeated here.
+ */
+const LIST_FILTER_KEYS = {
+  chain: 'chains',
+  exclude_chain: 'chains',
+  category: 'categories',
+  exclude_category: 'categories'
+};
+const SCALAR_FILTER_KEYS = [
+  'chain_mode', 'category_mode', 'ratings', 'min_uaw', 'max_uaw',
+  'min_volume', 'min_transactions', 'min_balance', 'order', 'facets', 'metrics'
+];
+
+const COLUMNS = [
+  'query_text', 'normalized_query', 'filters', 'sort', 'result_count',
+  'fuzzy', 'first_page', 'client_id', 'latency_ms'
+];
+
+let queue = [];
+let flushTimer = null;
+
+/**
+ * Grouping key for a query: trimmed, lower-cased, whitespace collapsed.
+ *
+ * @param {string|null|undefined} text
+ * @returns {string|null}
+ */
+function normalizeQueryText(text) {
+  if (typeof text !== 'string') return null;
+  const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalized === '' ? null : normalized;
+}
+
+/**
+ * Snapshot of the filters of a search request. Chain/category values are
+ * resolved to canonical taxonomy names so 'bsc' and 'BNB Chain' are counted
+ * together; prefix values ('Polygon*') and unknown values are kept as sent.
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} taxonomy - Result of loadTaxonomy()
+ * @returns {Object}
+ */
+function describeFilters(query, taxonomy) {
+  const filters = {};
+
+  Object.keys(LIST_FILTER_KEYS).forEach(key => {
+    const values = parseListParam(query[key]);
+    if (values.length === 0) return;
+    const index = taxonomy[LIST_FILTER_KEYS[key]];
+    filters[key] = values.map(value => {
+      const entry = value.endsWith('*') ? null : resolveTerm(index, value);
+      return entry ? entry.name : value;
+    });
+  });
+
+  SCALAR_FILTER_KEYS.forEach(key => {
+    if (typeof query[key] === 'string' && query[key] !== '') filters[key] = query[key];
+  });
+
+  return filters;
+}
+
+/**
+ * Writes the queued events. Never throws.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushSearchEvents() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  while (queue.length > 0) {
+    const batch = queue.splice(0, FLUSH_BATCH_SIZE);
+    const params = [];
+    const rows = batch.map(event => {
+      const placeholders = COLUMNS.map(column => {
+        params.push(column === 'filters' ? JSON.stringify(event.filters || {}) : event[column]);
+        return '$' + params.length;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    try {
+      await db.query(
+        `INSERT INTO public.search_events (${COLUMNS.join(', ')})
+         VALUES ${rows.join(', ')}`,
+        params
+      );
+    } catch (err) {
+      console.error(`Error writing ${batch.length} search events:`, err.message);
+    }
+  }
+}
+
+/**
+ * Queues a search event for asynchronous writing.
+ *
+ * @param {Object} event
+ * @param {string|null} event.query_text
+ * @param {Object} event.filters - From describeFilters()
+ * @param {string} event.sort
+ * @param {number|null} event.result_count
+ * @param {boolean} event.fuzzy
+ * @param {boolean} event.first_page
+ * @param {string|null} event.client_id
+ * @param {number} event.latency_ms
+ */
+function recordSearchEvent(event) {
+  queue.push({ ...event, normalized_query: normalizeQueryText(event.query_text) });
+
+  if (queue.length > MAX_QUEUE_SIZE) {
+    queue = queue.slice(queue.length - MAX_QUEUE_SIZE);
+  }
+
+  if (queue.length >= FLUSH_BATCH_SIZE) {
+    flushSearchEvents();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushSearchEvents, FLUSH_INTERVAL_MS);
+    // Do not keep the process alive just to write analytics.
+    flushTimer.unref();
+  }
+}
+
+module.exports = {
+  normalizeQueryText,
+  describeFilters,
+  recordSearchEvent,
+  flushSearchEvents
+};
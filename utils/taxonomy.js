@@ -0,0 +1,262 @@
+/**
+ * utils/taxonomy.js
+ *
+ * Canonical chain and category taxonomy (tables `chains` and `categories`,
+ * see migrations/003_chain_category_taxonomy.sql).
+ *
+ * Every entry has a canonical name, a slug, aliases, an optional icon and an
+ * optional parent. A filter or submitted value resolves to an entry when it
+ * equals the entry's name, slug or one of its aliases after
+ * normalizeFilterValue() ('exchange', 'EXCHANGES' and 'dex' all resolve to
+ * 'Exchanges'). Parents group entries: matching a parent also matches its
+ * descendants, so chain=Ethereum L2 finds dApps on Arbitrum, Base, ...
+ *
+ * The taxonomy changes rarely, so it is loaded once and reused for
+ * TAXONOMY_CACHE_TTL_MS by every route that needs it.
+ */
+
+const db = require('../db');
+
+/** How long a loaded taxonomy is reused before being reloaded. */
+const TAXONOMY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/** In-process taxonomy: { value: { chains, categories }, loadedAt: number } */
+let taxonomyCache = null;
+
+/**
+ * Reduces a chain/category value to a comparison key: lower-cased, whitespace
+ * collapsed and a trailing plural 's' dropped, so 'exchange', 'Exchanges'
+ * and ' EXCHANGES ' all compare equal.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeFilterValue(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '');
+}
+
+/**
+ * Indexes taxonomy rows for alias resolution. Canonical names win over
+ * aliases when two entries would claim the same normalised key.
+ *
+ * @param {Array<{ id: number, name: string, slug: string, aliases: string[],
+ *                 icon: string|null, parent_id: number|null }>} rows
+ * @returns {{ entries: Object[], byKey: Map<string, Object>,
+ *             byId: Map<number, Object>, children: Map<number, Object[]> }}
+ */
+function buildTaxonomyIndex(rows) {
+  const entries = rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    aliases: row.aliases || [],
+    icon: row.icon || null,
+    parent_id: row.parent_id || null
+  }));
+
+  const byKey = new Map();
+  const byId = new Map();
+  const children = new Map();
+
+  entries.forEach(entry => {
+    byId.set(entry.id, entry);
+    byKey.set(normalizeFilterValue(entry.name), entry);
+  });
+
+  entries.forEach(entry => {
+    [entry.slug].concat(entry.aliases).forEach(term => {
+      const key = normalizeFilterValue(term);
+      if (!byKey.has(key)) byKey.set(key, entry);
+    });
+
+    if (entry.parent_id !== null) {
+      if (!children.has(entry.parent_id)) children.set(entry.parent_id, []);
+      children.get(entry.parent_id).push(entry);
+    }
+  });
+
+  return { entries, byKey, byId, children };
+}
+
+/**
+ * Resolves a name, slug or alias to its taxonomy entry.
+ *
+ * @param {Object} index - Result of buildTaxonomyIndex()
+ * @param {string} value
+ * @returns {Object|null}
+ */
+function resolveTerm(index, value) {
+  return index.byKey.get(normalizeFilterValue(value)) || null;
+}
+
+/**
+ * Returns an entry followed by all of its descendants.
+ *
+ * @param {Object} index
+ * @param {Object} entry
+ * @returns {Object[]}
+ */
+function withDescendants(index, entry) {
+  const seen = new Set();
+  const result = [];
+  const visit = (node) => {
+    if (seen.has(node.id)) return;
+    seen.add(node.id);
+    result.push(node);
+    (index.children.get(node.id) || []).forEach(visit);
+  };
+  visit(entry);
+  return result;
+}
+
+/**
+ * Normalised values that stored dApp lists may use for an entry or any of its
+ * descendants (canonical names and aliases).
+ *
+ * @param {Object} index
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+function matchKeys(index, entry) {
+  const keys = new Set();
+  withDescendants(index, entry).forEach(node => {
+    [node.name].concat(node.aliases).forEach(term => keys.add(normalizeFilterValue(term)));
+  });
+  return Array.from(keys);
+}
+
+/**
+ * Whether any canonical name or alias starts with `prefix`, for validating
+ * prefix filters such as 'Polygon*'.
+ *
+ * @param {Object} index
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+function hasPrefix(index, prefix) {
+  const key = normalizeFilterValue(prefix);
+  return key !== '' && Array.from(index.byKey.keys()).some(term => term.startsWith(key));
+}
+
+/**
+ * Reads a chains/categories value as submitted by clients: an array, a JSON
+ * array string or a comma-separated string.
+ *
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+function toValueList(value) {
+  if (value === undefined || value === null) return [];
+
+  let items = value;
+  if (typeof value === 'string') {
+    try {
+      items = JSON.parse(value);
+    } catch {
+      items = value.split(',');
+    }
+  }
+  if (!Array.isArray(items)) items = [items];
+
+  return items
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+}
+
+/**
+ * Maps submitted values to canonical names, dropping duplicates.
+ *
+ * @param {Object} index
+ * @param {string|string[]} value - Raw chains/categories input
+ * @returns {{ names: string[], ids: number[], unknown: string[] }}
+ */
+function canonicalizeList(index, value) {
+  const names = [];
+  const ids = [];
+  const unknown = [];
+
+  toValueList(value).forEach(item => {
+    const entry = resolveTerm(index, item);
+    if (!entry) {
+      unknown.push(item);
+    } else if (!ids.includes(entry.id)) {
+      ids.push(entry.id);
+      names.push(entry.name);
+    }
+  });
+
+  return { names, ids, unknown };
+}
+
+/**
+ * Resolves the chains and categories of a dApp being written (add-dapp,
+ * submissions) to canonical taxonomy entries.
+ *
+ * @param {{ chains: Object, categories: Object }} taxonomy - From loadTaxonomy()
+ * @param {{ chains: string|string[], categories: string|string[] }} input
+ * @returns {{ chains: { names: string[], ids: number[] },
+ *             categories: { names: string[], ids: number[] },
+ *             error: Object|null }}
+ *   `error` is a ready-to-send 400 body listing values that resolve to no entry.
+ */
+function resolveDappTaxonomy(taxonomy, input) {
+  const chains = canonicalizeList(taxonomy.chains, input.chains);
+  const categories = canonicalizeList(taxonomy.categories, input.categories);
+
+  const invalid = {};
+  if (chains.unknown.length > 0) invalid.chains = chains.unknown;
+  if (categories.unknown.length > 0) invalid.categories = categories.unknown;
+
+  return {
+    chains,
+    categories,
+    error: Object.keys(invalid).length > 0
+      ? { success: false, error: 'Unknown chains or categories', invalid }
+      : null
+  };
+}
+
+/**
+ * Returns the chain and category taxonomies, loading them when the cached
+ * copy is missing or older than TAXONOMY_CACHE_TTL_MS.
+ *
+ * @returns {Promise<{ chains: Object, categories: Object }>}
+ */
+async function loadTaxonomy() {
+  if (taxonomyCache && Date.now() - taxonomyCache.loadedAt < TAXONOMY_CACHE_TTL_MS) {
+    return taxonomyCache.value;
+  }
+
+  const [chains, categories] = await Promise.all([
+    db.query(
+      `SELECT chain_id AS id, name, slug, aliases, icon, parent_id
+       FROM public.chains ORDER BY name`
+    ),
+    db.query(
+      `SELECT category_id AS id, name, slug, aliases, icon, parent_id
+       FROM public.categories ORDER BY name`
+    )
+  ]);
+
+  taxonomyCache = {
+    value: {
+      chains: buildTaxonomyIndex(chains.rows),
+      categories: buildTaxonomyIndex(categories.rows)
+    },
+    loadedAt: Date.now()
+  };
+  return taxonomyCache.value;
+}
+
+module.exports = {
+  normalizeFilterValue,
+  buildTaxonomyIndex,
+  resolveTerm,
+  withDescendants,
+  matchKeys,
+  hasPrefix,
+  toValueList,
+  canonicalizeList,
+  resolveDappTaxonomy,
+  loadTaxonomy
+};
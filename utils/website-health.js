@@ -0,0 +1,339 @@
+/**
+ * utils/website-health.js
+ *
+ * Periodically requests the website of every active listing and records
+ * the outcome in dapp_website_checks and dapp_website_health
+ * (migrations/013_dapp_website_checks.sql): the HTTP status after
+ * redirects, the redirect target, the TLS certificate expiry and the
+ * response time.
+ *
+ * A check succeeds when the final response is 2xx and the certificate (if
+ * any) is valid and has not expired. A dApp whose checks fail
+ * config.health.failureThreshold times in a row is flagged; the next
+ * successful check clears the flag. Flagged dApps are left out of
+ * /dapp-search?healthy=true (utils/dapp-filters.js).
+ *
+ * Like utils/metric-snapshots.js, the schedule runs inside the API process
+ * (started from bin/www) every config.health.checkIntervalMinutes, and dApps
+ * checked within half the interval are skipped, so restarts and several API
+ * instances do not check the same sites twice.
+ *
+ * The default client only connects to public addresses
+ * (utils/public-address.js), on the first request and every redirect, so a
+ * listed website cannot point the checker at internal services. Requests go
+ * through a replaceable HTTP client (setHealthHttpClient()), so the checker
+ * can be run against a local server or a stub.
+ */
+
+const http = require('http');
+const https = require('https');
+const db = require('../db');
+const config = require('../config');
+const { activeDappSQL } = require('./dapp-status');
+const { invalidateDapp } = require('./response-cache');
+const { publicLookup, privateHostError } = require('./public-address');
+
+/** Redirects followed before a check gives up. */
+const MAX_REDIRECTS = 5;
+
+/** Websites requested at the same time during a round. */
+const CHECK_CONCURRENCY = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const USER_AGENT = 'GeodeHealthCheck/1.0';
+
+let checkTimer = null;
+
+/**
+ * One GET request without following redirects. The body is discarded.
+ *
+ * The certificate is not verified by the connection itself, so a site with
+ * an expired or otherwise invalid certificate still yields its expiry; the
+ * verification result is reported as `tlsError` instead. Non-public
+ * addresses are refused (utils/public-address.js).
+ *
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<{ status: number, location: string|null, tlsExpiresAt: Date|null,
+ *                     tlsError: string|null }>}
+ *   `tlsError` is the certificate verification error code, e.g.
+ *   'CERT_HAS_EXPIRED', or null when the certificate is valid (or for http).
+ */
+function requestOnce(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const secure = target.protocol === 'https:';
+    const transport = secure ? https : http;
+
+    const refused = privateHostError(target);
+    if (refused) return reject(refused);
+
+    const req = transport.get(target, {
+      agent: false,
+      lookup: publicLookup,
+      timeout: timeoutMs,
+      rejectUnauthorized: false,
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html,*/*' }
+    }, res => {
+      const socket = res.socket;
+      const cert = secure ? socket.getPeerCertificate() : null;
+      res.resume();
+
+      let tlsError = null;
+      if (secure && !socket.authorized) {
+        const reason = socket.authorizationError;
+        tlsError = (reason && (reason.code || reason.message || String(reason))) || 'UNABLE_TO_VERIFY_CERTIFICATE';
+      }
+
+      resolve({
+        status: res.statusCode,
+        location: res.headers.location || null,
+        tlsExpiresAt: cert && cert.valid_to ? new Date(cert.valid_to) : null,
+        tlsError
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs} ms`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Default HTTP client: GET with Node's http/https, following up to
+ * MAX_REDIRECTS redirects. A hop whose certificate does not verify ends the
+ * chain there, with its `tlsError`.
+ *
+ * @param {string} url
+ * @param {{ timeoutMs: number }} options - Timeout of each request
+ * @returns {Promise<{ status: number, finalUrl: string, tlsExpiresAt: Date|null,
+ *                     tlsError: string|null }>}
+ *   `tlsExpiresAt` and `tlsError` describe the certificate of the last
+ *   https response.
+ */
+async function defaultHttpClient(url, { timeoutMs }) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestOnce(current, timeoutMs);
+    if (response.tlsError || !REDIRECT_STATUSES.includes(response.status) || !response.location) {
+      return {
+        status: response.status,
+        finalUrl: current,
+        tlsExpiresAt: response.tlsExpiresAt,
+        tlsError: response.tlsError
+      };
+    }
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    current = new URL(response.location, current).href;
+  }
+}
+
+let httpClient = defaultHttpClient;
+
+/**
+ * Replaces the HTTP client used by the checks; pass null to restore the
+ * default. The client is called as client(url, { timeoutMs }) and resolves to
+ * { status, finalUrl, tlsExpiresAt, tlsError }, or rejects when the site
+ * cannot be reached. `tlsError` (optional) is the reason the certificate
+ * did not verify.
+ *
+ * @param {Function|null} client
+ */
+function setHealthHttpClient(client) {
+  httpClient = client || defaultHttpClient;
+}
+
+/**
+ * Checks one website.
+ *
+ * @param {string} url
+ * @returns {Promise<{ ok: boolean, status_code: number|null, final_url: string|null,
+ *                     tls_expires_at: Date|null, response_time_ms: number,
+ *                     error: string|null }>}
+ *   `error` says why a failed check failed.
+ */
+async function checkWebsite(url) {
+  const started = Date.now();
+  const failed = error => ({
+    ok: false,
+    status_code: null,
+    final_url: null,
+    tls_expires_at: null,
+    response_time_ms: Date.now() - started,
+    error
+  });
+
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch {
+    return failed('Not a valid URL');
+  }
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    return failed('Not an http(s) URL');
+  }
+
+  let response;
+  try {
+    response = await httpClient(url, { timeoutMs: config.health.timeoutSeconds * 1000 });
+  } catch (err) {
+    return failed(err.code ? `${err.code}: ${err.message}` : err.message);
+  }
+
+  const tlsExpiresAt = response.tlsExpiresAt ? new Date(response.tlsExpiresAt) : null;
+  let error = null;
+  if (response.tlsError === 'CERT_HAS_EXPIRED' || (tlsExpiresAt && tlsExpiresAt <= new Date())) {
+    error = 'TLS certificate has expired';
+  } else if (response.tlsError) {
+    error = `Invalid TLS certificate: ${response.tlsError}`;
+  } else if (response.status < 200 || response.status > 299) {
+    error = `HTTP ${response.status}`;
+  }
+
+  return {
+    ok: error === null,
+    status_code: response.status,
+    final_url: response.finalUrl || url,
+    tls_expires_at: tlsExpiresAt,
+    response_time_ms: Date.now() - started,
+    error
+  };
+}
+
+/**
+ * Stores a check and updates the dApp's failure streak and flag.
+ *
+ * @param {number} dappId
+ * @param {string} url
+ * @param {Object} result - From checkWebsite()
+ * @returns {Promise<{ consecutive_failures: number, flagged: boolean, flagChanged: boolean }>}
+ */
+async function recordWebsiteCheck(dappId, url, result) {
+  const threshold = Math.max(1, config.health.failureThreshold);
+
+  const check = await db.query(
+    `INSERT INTO public.dapp_website_checks
+       (dapp_id, url, ok, status_code, final_url, tls_expires_at, response_time_ms, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING check_id`,
+    [dappId, url, result.ok, result.status_code, result.final_url, result.tls_expires_at,
+      result.response_time_ms, result.error]
+  );
+
+  const previous = await db.query(
+    'SELECT flagged_at FROM public.dapp_website_health WHERE dapp_id = $1',
+    [dappId]
+  );
+  const wasFlagged = previous.rows.length > 0 && previous.rows[0].flagged_at !== null;
+
+  // A success resets the streak and the flag; a failure extends the streak
+  // and flags the dApp once it reaches the threshold (keeping the first
+  // flag time while it stays down).
+  const health = await db.query(
+    `INSERT INTO public.dapp_website_health AS h (dapp_id, last_check_id, consecutive_failures, flagged_at, checked_at)
+     VALUES ($1, $2, CASE WHEN $3::boolean THEN 0 ELSE 1 END, CASE WHEN NOT $3 AND 1 >= $4::int THEN NOW() END, NOW())
+     ON CONFLICT (dapp_id) DO UPDATE SET
+       last_check_id = EXCLUDED.last_check_id,
+       consecutive_failures = CASE WHEN $3 THEN 0 ELSE h.consecutive_failures + 1 END,
+       flagged_at = CASE
+         WHEN $3 THEN NULL
+         WHEN h.flagged_at IS NOT NULL THEN h.flagged_at
+         WHEN h.consecutive_failures + 1 >= $4 THEN NOW()
+       END,
+       checked_at = NOW()
+     RETURNING consecutive_failures, flagged_at`,
+    [dappId, check.rows[0].check_id, result.ok, threshold]
+  );
+
+  const flagged = health.rows[0].flagged_at !== null;
+  return {
+    consecutive_failures: health.rows[0].consecutive_failures,
+    flagged,
+    flagChanged: flagged !== wasFlagged
+  };
+}
+
+/**
+ * Runs one round of checks over the active listings with a website, unless
+ * a dApp was checked within `minGapMinutes`. Listings whose flag changed are
+ * invalidated in the response cache, so healthy=true searches and details
+ * reflect it right away.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minGapMinutes] - Defaults to half the configured interval
+ * @returns {Promise<{ checked: number, failed: number, flagged: number }>}
+ *   `flagged` counts the dApps flagged by this round.
+ */
+async function runWebsiteChecks({ minGapMinutes = config.health.checkIntervalMinutes / 2 } = {}) {
+  const due = await db.query(
+    `SELECT dm.dapp_id, COALESCE(NULLIF(TRIM(dm.website), ''), NULLIF(TRIM(dm.link), '')) AS url
+     FROM dapps_main dm
+     LEFT JOIN public.dapp_website_health h ON h.dapp_id = dm.dapp_id
+     WHERE ${activeDappSQL('dm')}
+       AND COALESCE(NULLIF(TRIM(dm.website), ''), NULLIF(TRIM(dm.link), '')) IS NOT NULL
+       AND (h.checked_at IS NULL OR h.checked_at <= NOW() - $1::float * interval '1 minute')
+     ORDER BY h.checked_at NULLS FIRST, dm.dapp_id`,
+    [minGapMinutes]
+  );
+
+  const summary = { checked: 0, failed: 0, flagged: 0 };
+  const queue = due.rows.slice();
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { dapp_id, url } = queue.shift();
+      const result = await checkWebsite(url);
+      const health = await recordWebsiteCheck(dapp_id, url, result);
+
+      summary.checked++;
+      if (!result.ok) summary.failed++;
+      if (health.flagChanged) {
+        if (health.flagged) summary.flagged++;
+        await invalidateDapp(dapp_id);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CHECK_CONCURRENCY, queue.length) }, worker));
+  return summary;
+}
+
+/**
+ * Starts the check schedule: one round right away, then one per interval.
+ * Does nothing when the interval is 0 or the schedule is running.
+ */
+function startWebsiteChecks() {
+  const minutes = config.health.checkIntervalMinutes;
+  if (checkTimer || minutes <= 0) return;
+
+  const run = () => {
+    runWebsiteChecks().catch(err => {
+      console.error('Error checking dApp websites:', err.message);
+    });
+  };
+
+  run();
+  checkTimer = setInterval(run, minutes * 60 * 1000);
+  checkTimer.unref();
+}
+
+/**
+ * Stops the check schedule.
+ */
+function stopWebsiteChecks() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+module.exports = {
+  setHealthHttpClient,
+  checkWebsite,
+  recordWebsiteCheck,
+  runWebsiteChecks,
+  startWebsiteChecks,
+  stopWebsiteChecks
+};